@@ -84,6 +84,8 @@ module.exports = {
         ".graphqlrc.{js,ts}",
         "shopify.server.{js,ts}",
         "**/*.server.{js,ts}",
+        "e2e/**/*.js",
+        "scripts/**/*.js",
       ],
       env: {
         node: true,
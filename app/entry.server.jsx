@@ -3,8 +3,12 @@ import { renderToPipeableStream } from "react-dom/server";
 import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
+import { assertStartupConfig } from "./shopConfig.server";
 import { addDocumentResponseHeaders } from "./shopify.server";
 
+// A broken configuration should stop the deploy, not the first webhook
+assertStartupConfig();
+
 export const streamTimeout = 5000;
 
 export default async function handleRequest(
@@ -0,0 +1,31 @@
+import prisma from "./db.server";
+
+/* ---------------- SCHEDULED JOBS ---------------- */
+
+// Jobs are triggered over HTTP by an external scheduler (Railway cron)
+export function isAuthorizedJobRequest(request) {
+  const secret = process.env.JOBS_SECRET;
+  if (!secret) {
+    console.error("Missing JOBS_SECRET env var");
+    return false;
+  }
+  return request.headers.get("authorization") === `Bearer ${secret}`;
+}
+
+export async function runJob(job, fn) {
+  const run = await prisma.jobRun.create({ data: { job } });
+
+  try {
+    const summary = await fn();
+    return await prisma.jobRun.update({
+      where: { id: run.id },
+      data: { status: "succeeded", summary, finishedAt: new Date() },
+    });
+  } catch (e) {
+    console.error(`Job ${job} failed`, e);
+    return await prisma.jobRun.update({
+      where: { id: run.id },
+      data: { status: "failed", error: String(e), finishedAt: new Date() },
+    });
+  }
+}
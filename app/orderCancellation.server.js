@@ -0,0 +1,126 @@
+import { cancelJobsForOrder } from "./outbox.server";
+import { cancelShipment } from "./postOffice.server";
+import {
+  findRefundablePayment,
+  hasRefundBeenProcessed,
+  invalidateOpenPayments,
+  remainingRefundable,
+} from "./procardPayments.server";
+import {
+  noteRefundOnOrder,
+  refundProcardPayment,
+} from "./procardRefunds.server";
+import { appendOrderNote, tagOrder } from "./shopifyOrders.server";
+
+/* ---------------- SHOPIFY ORDER CANCELLED ---------------- */
+
+const POSTOFFICE_TAGS = {
+  cancelled: "postoffice_cancelled",
+  picked_up: "postoffice_cancel_too_late",
+  failed: "postoffice_cancel_failed",
+};
+
+// "Refund payment" on cancel creates a Shopify refund in the same step;
+// refunds/create sends that one to Procard.
+function refundedWithCancellation(order) {
+  const cancelledAt = Date.parse(order?.cancelled_at);
+  if (!Number.isFinite(cancelledAt)) return false;
+
+  return (order?.refunds || []).some(
+    (r) => Date.parse(r?.created_at) >= cancelledAt - 60 * 1000,
+  );
+}
+
+// Refunds what is left of a captured Procard payment, once per order
+async function refundCancelledOrder(shop, order) {
+  const payment = await findRefundablePayment(order.id);
+  if (!payment) return null;
+
+  if (refundedWithCancellation(order)) {
+    console.log("Cancellation refunded in Shopify → left to refunds/create", {
+      orderId: order.id,
+    });
+    return null;
+  }
+
+  const refundKey = `cancel-${order.id}`;
+  if (await hasRefundBeenProcessed(payment, refundKey)) return null;
+
+  const amount = remainingRefundable(payment);
+  if (amount <= 0) return null;
+
+  return refundProcardPayment(shop, payment, {
+    refundKey,
+    amount,
+    description: `Erina Home cancelled order ${order.id}`,
+  });
+}
+
+export async function handleOrderCancelled({ shop, payload }) {
+  const orderId = payload?.id;
+  if (!orderId) return new Response(null, { status: 200 });
+  const orderIdNumeric = Number(orderId);
+
+  try {
+    const invalidated = await invalidateOpenPayments(
+      orderId,
+      "Order cancelled",
+    );
+    await cancelJobsForOrder(shop, orderId);
+    if (invalidated.length) {
+      await tagOrder(shop, orderIdNumeric, ["procard_link_cancelled"]);
+    }
+
+    const refund = await refundCancelledOrder(shop, payload);
+    if (refund) {
+      if (!refund.ok) {
+        console.error("Procard refund on cancellation failed", {
+          orderId,
+          error: refund.error,
+        });
+      }
+      await noteRefundOnOrder(shop, orderIdNumeric, refund);
+    }
+
+    // The parcel being booked right now is cancelled on Shopify's retry,
+    // once the booking has settled
+    const shipment = await cancelShipment({ shop, orderId });
+    if (shipment.status === "in_progress") {
+      console.log("PostOffice booking in flight → cancel on retry", {
+        orderId,
+      });
+      return new Response(null, { status: 503 });
+    }
+    if (shipment.status !== "none") {
+      const tag = POSTOFFICE_TAGS[shipment.status];
+      await tagOrder(
+        shop,
+        orderIdNumeric,
+        [tag],
+        Object.values(POSTOFFICE_TAGS).filter((t) => t !== tag),
+      );
+    }
+    if (shipment.status === "picked_up") {
+      await appendOrderNote(
+        shop,
+        orderIdNumeric,
+        `PostOffice parcel already picked up; stop or return it with PostOffice (${new Date().toISOString()})`,
+      );
+    } else if (shipment.status === "failed") {
+      console.error("PostOffice cancellation failed", {
+        orderId,
+        error: shipment.error,
+      });
+      await appendOrderNote(
+        shop,
+        orderIdNumeric,
+        `${shipment.error} (${new Date().toISOString()})`,
+      );
+    }
+
+    return new Response(null, { status: 200 });
+  } catch (e) {
+    console.error("Error handling cancelled order", e);
+    return new Response(null, { status: 500 });
+  }
+}
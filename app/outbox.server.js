@@ -0,0 +1,331 @@
+import prisma from "./db.server";
+import {
+  sendPaymentEmail,
+  sendPaymentUpdatedEmail,
+} from "./paymentEmail.server";
+import { createPaymentLink, isOrderPaid } from "./paymentLinks.server";
+import { SHIPMENT_STATUS, submitShipment } from "./postOffice.server";
+import {
+  PAYMENT_STATUS,
+  findPaymentByReference,
+  invalidateOpenPayments,
+} from "./procardPayments.server";
+import {
+  setPaymentUrlAttribute,
+  shopifyRest,
+  tagOrder,
+} from "./shopifyOrders.server";
+
+/* ---------------- OUTBOX ---------------- */
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  DEAD: "dead",
+  CANCELLED: "cancelled",
+};
+
+const MINUTE = 60 * 1000;
+
+// A worker that died mid-job leaves it "running"; reclaim after this long
+const STALE_LOCK = 10 * MINUTE;
+
+function getOutboxConfig() {
+  const maxAttempts = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+  const backoffSeconds = Number(process.env.OUTBOX_BACKOFF_SECONDS || 30);
+  return {
+    maxAttempts: maxAttempts > 0 ? maxAttempts : 8,
+    backoffSeconds: backoffSeconds > 0 ? backoffSeconds : 30,
+  };
+}
+
+// 30s, 1m, 2m, 4m … capped at 6h
+function nextRunAt(attempts, { backoffSeconds }) {
+  const delay = Math.min(backoffSeconds * 2 ** (attempts - 1), 6 * 60 * 60);
+  return new Date(Date.now() + delay * 1000);
+}
+
+// The same dedupeKey is only ever enqueued once; Shopify retrying a
+// webhook gets the job that already exists.
+export async function enqueue({ shop, orderId, kind, payload, dedupeKey }) {
+  try {
+    return await prisma.outboxJob.create({
+      data: {
+        shop: shop || null,
+        orderId: orderId ? String(orderId) : null,
+        kind,
+        payload: JSON.parse(JSON.stringify(payload ?? {})),
+        dedupeKey: dedupeKey || null,
+      },
+    });
+  } catch (e) {
+    if (e?.code !== "P2002") throw e;
+    return prisma.outboxJob.findUnique({ where: { dedupeKey } });
+  }
+}
+
+/* ---------------- HANDLERS ---------------- */
+
+async function fetchOrder(shop, orderId) {
+  const current = await shopifyRest(shop, `/orders/${orderId}.json`);
+  if (!current?.order) throw new Error(`Order ${orderId} not found`);
+  return current.order;
+}
+
+// Cancelling or editing the order invalidates its links; jobs still queued
+// for one must not put it in front of the customer.
+async function isLinkInvalidated(orderReference) {
+  if (!orderReference) return false;
+  const payment = await findPaymentByReference(orderReference);
+  return payment?.status === PAYMENT_STATUS.INVALIDATED;
+}
+
+const HANDLERS = {
+  // Dispatcher call; follow-up order update and email are their own jobs.
+  // The link charges the order as it is now, whatever it was when queued.
+  async procard_link({ shop, orderId, payload }) {
+    const { orderReference } = payload;
+
+    const order = await fetchOrder(shop, orderId);
+    if (order.cancelled_at || isOrderPaid(order)) {
+      console.log("Order paid or cancelled meanwhile → no new link", {
+        orderId,
+        orderReference,
+      });
+      return;
+    }
+
+    // A timed-out attempt may still have produced a link
+    const existing = await findPaymentByReference(orderReference);
+    if (existing?.status === PAYMENT_STATUS.INVALIDATED) return;
+    let paymentUrl = existing?.paymentUrl;
+
+    if (!paymentUrl) {
+      const created = await createPaymentLink({ shop, order, orderReference });
+      paymentUrl = created.paymentUrl;
+    }
+    if (!paymentUrl) throw new Error("Procard dispatcher rejected the request");
+
+    // Cancelled while the dispatcher was answering; the cancellation could
+    // not see this link yet, so it is invalidated here
+    if ((await fetchOrder(shop, orderId)).cancelled_at) {
+      const invalidated = await invalidateOpenPayments(
+        orderId,
+        "Order cancelled",
+      );
+      if (invalidated.length) {
+        await tagOrder(shop, Number(orderId), ["procard_link_cancelled"]);
+      }
+      return;
+    }
+
+    await enqueue({
+      shop,
+      orderId,
+      kind: "order_payment_url",
+      payload: { paymentUrl, orderReference },
+      dedupeKey: `order_payment_url:${orderReference}`,
+    });
+    await enqueue({
+      shop,
+      orderId,
+      kind: "payment_email",
+      payload: {
+        email: order?.email,
+        paymentUrl,
+        orderReference,
+        template: payload.emailTemplate,
+      },
+      dedupeKey: `payment_email:${orderReference}`,
+    });
+  },
+
+  async order_payment_url({ shop, orderId, payload }) {
+    if (await isLinkInvalidated(payload.orderReference)) return;
+    await setPaymentUrlAttribute(shop, Number(orderId), payload.paymentUrl);
+  },
+
+  async payment_email({ shop, orderId, payload }) {
+    if (await isLinkInvalidated(payload.orderReference)) return;
+    const send =
+      payload.template === "updated"
+        ? sendPaymentUpdatedEmail
+        : sendPaymentEmail;
+    await send(shop, payload.email, payload.paymentUrl, orderId);
+  },
+
+  async postoffice_insert({ shop, orderId, payload }) {
+    const result = await submitShipment({
+      shop,
+      order: payload.order,
+      source: payload.source,
+      exchangeable: Boolean(payload.exchangeable),
+    });
+
+    const existing = result.status === "duplicate" ? result.shipment : null;
+    // Another caller is still booking; retried until it lands or is marked
+    // interrupted
+    if (existing?.status === SHIPMENT_STATUS.SUBMITTING) {
+      throw new Error("PostOffice booking in progress");
+    }
+
+    const booked =
+      result.status === "submitted" ||
+      existing?.status === SHIPMENT_STATUS.SUBMITTED;
+
+    if (payload.tagSent && booked) {
+      await tagOrder(shop, Number(orderId), ["sent_to_postoffice"]);
+    }
+  },
+};
+
+/* ---------------- WORKER ---------------- */
+
+async function claimJob(job) {
+  const { count } = await prisma.outboxJob.updateMany({
+    where: { id: job.id, status: job.status, attempts: job.attempts },
+    data: {
+      status: OUTBOX_STATUS.RUNNING,
+      lockedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+  return count === 1;
+}
+
+async function runOne(job, config) {
+  if (!(await claimJob(job))) return null;
+
+  const attempts = job.attempts + 1;
+  const handler = HANDLERS[job.kind];
+
+  try {
+    if (!handler) throw new Error(`Unknown outbox job kind "${job.kind}"`);
+    await handler(job);
+
+    await prisma.outboxJob.update({
+      where: { id: job.id },
+      data: {
+        status: OUTBOX_STATUS.DONE,
+        lockedAt: null,
+        lastError: null,
+        finishedAt: new Date(),
+      },
+    });
+    return OUTBOX_STATUS.DONE;
+  } catch (e) {
+    const dead = !handler || attempts >= config.maxAttempts;
+    console.error(dead ? "Outbox job dead-lettered" : "Outbox job failed", {
+      id: job.id,
+      kind: job.kind,
+      orderId: job.orderId,
+      attempts,
+      error: String(e),
+    });
+
+    await prisma.outboxJob.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING,
+        lockedAt: null,
+        lastError: String(e?.message || e),
+        runAt: dead ? undefined : nextRunAt(attempts, config),
+        finishedAt: dead ? new Date() : undefined,
+      },
+    });
+    return dead ? OUTBOX_STATUS.DEAD : "retry";
+  }
+}
+
+export async function processOutbox({ ids, take = 50 } = {}) {
+  const config = getOutboxConfig();
+  const now = new Date();
+  const summary = { processed: 0, done: 0, retry: 0, dead: 0 };
+
+  const jobs = await prisma.outboxJob.findMany({
+    where: {
+      ...(ids ? { id: { in: ids } } : {}),
+      OR: [
+        { status: OUTBOX_STATUS.PENDING, runAt: { lte: now } },
+        {
+          status: OUTBOX_STATUS.RUNNING,
+          lockedAt: { lt: new Date(now.getTime() - STALE_LOCK) },
+        },
+      ],
+    },
+    orderBy: { runAt: "asc" },
+    take,
+  });
+
+  for (const job of jobs) {
+    const result = await runOne(job, config);
+    if (!result) continue;
+
+    summary.processed++;
+    summary[result]++;
+  }
+
+  return summary;
+}
+
+async function runNow(ids) {
+  const summary = await processOutbox({ ids });
+  // Follow-up jobs enqueued by the handlers
+  if (summary.done) await processOutbox();
+  return summary;
+}
+
+// Runs fresh jobs right away so the happy path doesn't wait for the cron;
+// anything that fails here is picked up by the scheduled run.
+export function kickOutbox(jobs) {
+  const ids = jobs.filter(Boolean).map((j) => j.id);
+  if (!ids.length) return;
+
+  runNow(ids).catch((e) => console.error("Outbox kick failed", e));
+}
+
+// Scoped to the shop so an admin can only retry their own jobs
+export async function retryDeadJob(shop, id) {
+  const { count } = await prisma.outboxJob.updateMany({
+    where: { id, shop, status: OUTBOX_STATUS.DEAD },
+    data: {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      runAt: new Date(),
+      finishedAt: null,
+    },
+  });
+  if (count !== 1) throw new Error("Job is not dead-lettered");
+
+  return runNow([id]);
+}
+
+// Calls queued for a cancelled order no longer apply. A running one is left
+// to finish; the link handlers re-check the order and the link themselves.
+export async function cancelJobsForOrder(shop, orderId) {
+  const { count } = await prisma.outboxJob.updateMany({
+    where: {
+      shop,
+      orderId: String(orderId),
+      status: { in: [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.DEAD] },
+    },
+    data: { status: OUTBOX_STATUS.CANCELLED, finishedAt: new Date() },
+  });
+  return count;
+}
+
+export async function listJobsForOrder(shop, orderId) {
+  return prisma.outboxJob.findMany({
+    where: { shop, orderId: String(orderId) },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+export async function listDeadJobs(shop, take = 20) {
+  return prisma.outboxJob.findMany({
+    where: { shop, status: OUTBOX_STATUS.DEAD },
+    orderBy: { finishedAt: "desc" },
+    take,
+  });
+}
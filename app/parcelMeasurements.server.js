@@ -0,0 +1,252 @@
+import { appConfig } from "./shopConfig.server";
+import { shopifyRest } from "./shopifyOrders.server";
+
+/* ---------------- PARCEL WEIGHT + DIMENSIONS ---------------- */
+
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.349523125, lb: 453.59237 };
+const CM_PER_UNIT = { mm: 0.1, cm: 1, m: 100, in: 2.54, ft: 30.48, yd: 91.44 };
+
+const DIMENSION_KEYS = ["width", "length", "height"];
+
+// `defaultWeightKg` is the shop's setting from getShopConfig, env fallback
+// included where the shop has one
+export function defaultParcelMeasurements({ defaultWeightKg } = {}) {
+  const { postOffice } = appConfig();
+  return {
+    width: postOffice.defaultWidthCm,
+    length: postOffice.defaultLengthCm,
+    height: postOffice.defaultHeightCm,
+    weight: defaultWeightKg ?? 1,
+  };
+}
+
+function variantGrams(variant) {
+  const grams = Number(variant?.grams);
+  if (grams > 0) return grams;
+
+  const factor = GRAMS_PER_UNIT[variant?.weight_unit];
+  const weight = Number(variant?.weight);
+  return factor && weight > 0 ? weight * factor : 0;
+}
+
+// Accepts number metafields (cm) and Shopify "dimension" JSON values
+function metafieldCm(metafield) {
+  if (!metafield) return null;
+
+  let value = metafield.value;
+  if (metafield.type === "dimension") {
+    try {
+      const parsed = JSON.parse(value);
+      const factor = CM_PER_UNIT[parsed?.unit];
+      value = factor ? Number(parsed.value) * factor : null;
+    } catch {
+      value = null;
+    }
+  }
+
+  const n = Number(value);
+  return n > 0 ? n : null;
+}
+
+function metafieldTrue(metafield) {
+  return String(metafield?.value ?? "").toLowerCase() === "true";
+}
+
+// Dimensions in cm plus packing flags from the shipping metafields
+async function fetchShippingMetafields(shop, resource, id) {
+  const namespace = appConfig().postOffice.dimensionsNamespace;
+  const res = await shopifyRest(
+    shop,
+    `/${resource}/${id}/metafields.json?namespace=${encodeURIComponent(namespace)}`,
+  );
+  const metafields = res?.metafields || [];
+  const find = (key) => metafields.find((m) => m.key === key);
+
+  const dimensions = {};
+  for (const key of DIMENSION_KEYS) {
+    const cm = metafieldCm(find(key));
+    if (cm) dimensions[key] = cm;
+  }
+
+  const separately = find("ships_separately");
+  return {
+    dimensions,
+    shipsSeparately: separately ? metafieldTrue(separately) : undefined,
+  };
+}
+
+function hasAllDimensions(dimensions) {
+  return DIMENSION_KEYS.every((key) => dimensions?.[key]);
+}
+
+// Per shippable line item: unit grams, quantity, dimensions in cm and
+// whether each unit needs its own box. Variant metafields win over product.
+export async function loadLineItemMeasurements(shop, order) {
+  const products = new Map();
+  const items = [];
+
+  for (const li of order?.line_items || []) {
+    if (li?.requires_shipping === false) continue;
+
+    const quantity = Number(li?.quantity) || 1;
+    let grams = Number(li?.grams) || 0;
+    let dimensions = {};
+    let shipsSeparately;
+
+    try {
+      if (li?.variant_id) {
+        if (!grams) {
+          const res = await shopifyRest(
+            shop,
+            `/variants/${li.variant_id}.json`,
+          );
+          grams = variantGrams(res?.variant);
+        }
+        const variant = await fetchShippingMetafields(
+          shop,
+          "variants",
+          li.variant_id,
+        );
+        dimensions = variant.dimensions;
+        shipsSeparately = variant.shipsSeparately;
+      }
+
+      if (
+        li?.product_id &&
+        (!hasAllDimensions(dimensions) || shipsSeparately === undefined)
+      ) {
+        if (!products.has(li.product_id)) {
+          products.set(
+            li.product_id,
+            await fetchShippingMetafields(shop, "products", li.product_id),
+          );
+        }
+        const product = products.get(li.product_id);
+        if (!hasAllDimensions(dimensions)) {
+          dimensions = { ...product.dimensions, ...dimensions };
+        }
+        shipsSeparately ??= product.shipsSeparately;
+      }
+    } catch (e) {
+      console.error("Failed to load product measurements", {
+        orderId: order?.id,
+        lineItemId: li?.id,
+        error: String(e),
+      });
+    }
+
+    items.push({
+      lineItemId: li?.id,
+      title: li?.title,
+      quantity,
+      grams,
+      dimensions: hasAllDimensions(dimensions) ? dimensions : null,
+      shipsSeparately: Boolean(shipsSeparately),
+    });
+  }
+
+  return items;
+}
+
+// Items are stacked: the footprint is the largest item, heights add up
+export function measureParcel(items, { orderId, defaultWeightKg } = {}) {
+  const defaults = defaultParcelMeasurements({ defaultWeightKg });
+  const totalGrams = items.reduce((sum, i) => sum + i.grams * i.quantity, 0);
+  const sized = items.filter((i) => i.dimensions);
+
+  const fallbacks = [];
+  if (!totalGrams) fallbacks.push("weight");
+  if (!sized.length) fallbacks.push("dimensions");
+
+  if (fallbacks.length) {
+    console.log("PostOffice parcel falls back to default measurements", {
+      orderId,
+      fallbacks,
+      items: items.map((i) => i.title),
+    });
+  } else if (sized.length < items.length) {
+    console.log("PostOffice parcel has items without dimensions", {
+      orderId,
+      items: items.filter((i) => !i.dimensions).map((i) => i.title),
+    });
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+
+  return {
+    weight: totalGrams ? round(totalGrams / 1000) : defaults.weight,
+    width: sized.length
+      ? round(Math.max(...sized.map((i) => i.dimensions.width)))
+      : defaults.width,
+    length: sized.length
+      ? round(Math.max(...sized.map((i) => i.dimensions.length)))
+      : defaults.length,
+    height: sized.length
+      ? round(
+          sized.reduce((sum, i) => sum + i.dimensions.height * i.quantity, 0),
+        )
+      : defaults.height,
+  };
+}
+
+/* ---------------- PACKING RULES ---------------- */
+
+function getPackingLimits() {
+  const { maxParcelWeightKg, maxParcelVolumeCm3 } = appConfig().postOffice;
+  return {
+    maxGrams: maxParcelWeightKg ? maxParcelWeightKg * 1000 : Infinity,
+    maxVolume: maxParcelVolumeCm3 ?? Infinity,
+  };
+}
+
+function unitVolume(item) {
+  const d = item.dimensions;
+  return d ? d.width * d.length * d.height : 0;
+}
+
+// Folds a box's units back into line items with quantities
+function boxItems(units) {
+  const byLineItem = new Map();
+  for (const unit of units) {
+    const item = byLineItem.get(unit.lineItemId);
+    if (item) item.quantity++;
+    else byLineItem.set(unit.lineItemId, { ...unit, quantity: 1 });
+  }
+  return Array.from(byLineItem.values());
+}
+
+// Splits the order into boxes: "ships_separately" units get a box each, the
+// rest are packed first-fit under the max weight/volume per box. Without
+// limits everything else goes into a single box.
+export function packParcels(items) {
+  const { maxGrams, maxVolume } = getPackingLimits();
+  const boxes = [];
+  const open = [];
+
+  for (const item of items) {
+    for (let n = 0; n < item.quantity; n++) {
+      if (item.shipsSeparately) {
+        boxes.push([item]);
+        continue;
+      }
+
+      const volume = unitVolume(item);
+      const box = open.find(
+        (b) =>
+          b.grams + item.grams <= maxGrams && b.volume + volume <= maxVolume,
+      );
+
+      // An oversized unit still ships, alone in its own box
+      if (box) {
+        box.units.push(item);
+        box.grams += item.grams;
+        box.volume += volume;
+      } else {
+        open.push({ units: [item], grams: item.grams, volume });
+      }
+    }
+  }
+
+  const packed = [...open.map((b) => b.units), ...boxes].map(boxItems);
+  return packed.length ? packed : [[]];
+}
@@ -0,0 +1,159 @@
+import { paymentStatusUrl } from "./paymentStatusToken.server";
+import { getShopConfig } from "./shopConfig.server";
+
+/* ---------------- EMAIL (RESEND) ---------------- */
+
+function payButton(paymentUrl, label) {
+  return `
+      <p style="margin: 16px 0;">
+        <a href="${paymentUrl}" style="display:inline-block;padding:10px 14px;text-decoration:none;border-radius:8px;background:#13293D;color:#fff;">
+          ${label}
+        </a>
+      </p>`;
+}
+
+// Lets the customer check the payment later without contacting support
+function statusLink(shop, orderId) {
+  if (!shop) return "";
+  const url = paymentStatusUrl({ shop, orderId });
+  return `
+      <p style="font-size: 13px; color: #555;">
+        Already paid, or closed the payment page? <a href="${url}">Check your payment status</a>.
+      </p>`;
+}
+
+const RESEND_API = "https://api.resend.com";
+
+async function sendResendEmail(shop, { to, subject, html }) {
+  const { resend } = await getShopConfig(shop);
+
+  if (!resend.apiKey || !resend.from)
+    throw new Error("Missing RE_SEND_API_KEY / RESEND_EMAIL_FROM");
+  if (!to) {
+    console.warn("No customer email on order; skipping Resend email");
+    return;
+  }
+
+  const r = await fetch(`${RESEND_API}/emails`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${resend.apiKey}`,
+    },
+    body: JSON.stringify({
+      from: resend.from,
+      to,
+      subject,
+      html,
+    }),
+  });
+
+  const data = await r.json().catch(() => null);
+
+  if (!r.ok) {
+    console.error("Resend error:", { status: r.status, data });
+    throw new Error(`Resend failed: ${r.status}`);
+  }
+
+  console.log("Resend email sent:", data?.id || "ok");
+}
+
+// Settings "test connection": lists the account's domains, which needs a
+// valid key and sends nothing
+export async function testResendConnection(resend) {
+  if (!resend.apiKey) return { ok: false, error: "No Resend API key" };
+
+  const r = await fetch(`${RESEND_API}/domains`, {
+    headers: { Authorization: `Bearer ${resend.apiKey}` },
+  });
+  return r.ok
+    ? { ok: true }
+    : { ok: false, error: `Resend answered HTTP ${r.status}` };
+}
+
+export async function sendPaymentEmail(shop, toEmail, paymentUrl, orderId) {
+  const subject = `Erina Home – Payment link for order #${orderId}`;
+  const html = `
+    <div style="font-family: Inter, Arial, sans-serif; line-height: 1.5;">
+      <p>Hello,</p>
+      <p>Thanks for your order at <strong>Erina Home</strong>.</p>
+      <p>To complete your payment, please use this link:</p>
+      ${payButton(paymentUrl, "Pay now")}
+      <p>Order: <strong>#${orderId}</strong></p>
+      ${statusLink(shop, orderId)}
+      <p>If you have any questions, reply to this email.</p>
+      <p>Best regards,<br/>Erina Home</p>
+    </div>
+  `;
+
+  await sendResendEmail(shop, { to: toEmail, subject, html });
+}
+
+export async function sendPaymentRetryEmail(
+  shop,
+  toEmail,
+  paymentUrl,
+  orderId,
+) {
+  const subject = `Erina Home – Your payment for order #${orderId} did not go through`;
+  const html = `
+    <div style="font-family: Inter, Arial, sans-serif; line-height: 1.5;">
+      <p>Hello,</p>
+      <p>Unfortunately the card payment for your order at <strong>Erina Home</strong> was not completed.</p>
+      <p>You can try again using this link:</p>
+      ${payButton(paymentUrl, "Try again")}
+      <p>Order: <strong>#${orderId}</strong></p>
+      ${statusLink(shop, orderId)}
+      <p>If you have any questions, reply to this email.</p>
+      <p>Best regards,<br/>Erina Home</p>
+    </div>
+  `;
+
+  await sendResendEmail(shop, { to: toEmail, subject, html });
+}
+
+export async function sendPaymentReminderEmail(
+  shop,
+  toEmail,
+  paymentUrl,
+  orderId,
+) {
+  const subject = `Erina Home – Reminder: payment for order #${orderId}`;
+  const html = `
+    <div style="font-family: Inter, Arial, sans-serif; line-height: 1.5;">
+      <p>Hello,</p>
+      <p>We're still holding your order at <strong>Erina Home</strong>, but we haven't received the payment yet.</p>
+      <p>To complete your payment, please use this link:</p>
+      ${payButton(paymentUrl, "Pay now")}
+      <p>Order: <strong>#${orderId}</strong></p>
+      ${statusLink(shop, orderId)}
+      <p>If you have any questions, reply to this email.</p>
+      <p>Best regards,<br/>Erina Home</p>
+    </div>
+  `;
+
+  await sendResendEmail(shop, { to: toEmail, subject, html });
+}
+
+export async function sendPaymentUpdatedEmail(
+  shop,
+  toEmail,
+  paymentUrl,
+  orderId,
+) {
+  const subject = `Erina Home – Updated payment link for order #${orderId}`;
+  const html = `
+    <div style="font-family: Inter, Arial, sans-serif; line-height: 1.5;">
+      <p>Hello,</p>
+      <p>Your order at <strong>Erina Home</strong> was updated, so the total has changed.</p>
+      <p>Please use this new link to pay; the previous link no longer works:</p>
+      ${payButton(paymentUrl, "Pay now")}
+      <p>Order: <strong>#${orderId}</strong></p>
+      ${statusLink(shop, orderId)}
+      <p>If you have any questions, reply to this email.</p>
+      <p>Best regards,<br/>Erina Home</p>
+    </div>
+  `;
+
+  await sendResendEmail(shop, { to: toEmail, subject, html });
+}
@@ -0,0 +1,222 @@
+import { sendPaymentEmail } from "./paymentEmail.server";
+import { makeRequestSignature, normalizeAmount } from "./procard.server";
+import { procardChargeFor } from "./procardCurrency.server";
+import { getShopConfig } from "./shopConfig.server";
+import {
+  PAYMENT_STATUS,
+  invalidatePayments,
+  listOpenPayments,
+  recordDispatcherRequest,
+  recordDispatcherResponse,
+  supersedeOpenPayments,
+} from "./procardPayments.server";
+import { nextProcardReference } from "./procardReferences.server";
+import {
+  setPaymentUrlAttribute,
+  shopifyRest,
+  splitTags,
+} from "./shopifyOrders.server";
+
+/* ---------------- PAYMENT LINKS (PROCARD DISPATCHER) ---------------- */
+
+export function getOrderTotal(payload) {
+  const candidates = [
+    payload?.current_total_price,
+    payload?.total_price,
+    payload?.current_total_price_set?.shop_money?.amount,
+    payload?.total_price_set?.shop_money?.amount,
+  ];
+  for (const c of candidates) {
+    const n = Number(c);
+    if (Number.isFinite(n)) return n;
+  }
+  return 0;
+}
+
+// Requests a link from the dispatcher and records both sides in the ledger.
+// Returns paymentUrl: null when the dispatcher rejected the request.
+export async function createPaymentLink({ shop, order, orderReference }) {
+  const { procard } = await getShopConfig(shop);
+  const dispatcherUrl = procard.dispatcherUrl;
+  const merchant_id = procard.merchantId;
+
+  if (!dispatcherUrl || !merchant_id) {
+    throw new Error("Missing PROCARD_DISPATCHER_URL / PROCARD_MERCHANT_ID");
+  }
+
+  const orderRef = String(orderReference || "");
+  if (!orderRef) throw new Error("Missing Procard order reference");
+  const charge = procardChargeFor(order);
+  const description = `Erina Home ${orderRef}`;
+
+  const reqBody = {
+    operation: "Purchase",
+    merchant_id,
+    order_id: orderRef,
+    amount: Number(normalizeAmount(charge.amount)),
+    currency_iso: charge.currency,
+    description,
+    approve_url: procard.approveUrl,
+    decline_url: procard.declineUrl,
+    cancel_url: procard.cancelUrl,
+    callback_url: procard.callbackUrl,
+    redirect: 0,
+    email: order?.email || "",
+  };
+
+  reqBody.signature = makeRequestSignature(procard, {
+    merchant_id: reqBody.merchant_id,
+    order_id: reqBody.order_id,
+    amount: reqBody.amount,
+    currency_iso: reqBody.currency_iso,
+    description: reqBody.description,
+  });
+
+  const payment = await recordDispatcherRequest({
+    shop,
+    orderId: order?.id,
+    orderName: order?.name,
+    orderReference: orderRef,
+    amount: reqBody.amount,
+    currency: reqBody.currency_iso,
+    orderAmount: charge.orderAmount,
+    orderCurrency: charge.orderCurrency,
+    exchangeRate: charge.exchangeRate,
+    request: reqBody,
+  });
+
+  let res;
+  try {
+    res = await fetch(dispatcherUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(reqBody),
+    });
+  } catch (e) {
+    await recordDispatcherResponse(payment, { error: String(e) });
+    throw e;
+  }
+
+  const json = await res.json().catch(() => null);
+  console.log("DISPATCHER RESPONSE:", json);
+
+  if (!res.ok || json?.result !== 0 || !json?.url) {
+    console.error("Dispatcher rejected", { status: res.status, json });
+    const failed = await recordDispatcherResponse(payment, {
+      status: res.status,
+      response: json,
+      error: "Dispatcher rejected",
+    });
+    return { payment: failed, paymentUrl: null };
+  }
+
+  const paymentUrl = String(json.url);
+  const sent = await recordDispatcherResponse(payment, {
+    status: res.status,
+    response: json,
+    paymentUrl,
+  });
+
+  return { payment: sent, paymentUrl };
+}
+
+export function isOrderPaid(order) {
+  return (
+    order?.financial_status === "paid" ||
+    splitTags(order?.tags).includes("paid_procard")
+  );
+}
+
+/* ---------------- REGENERATE + RESEND ---------------- */
+
+// A new link under the next reference for the order as it is now; older
+// unpaid links are superseded. Throws for cancelled or paid orders.
+export async function issueFreshPaymentLink({ shop, orderId }) {
+  const current = await shopifyRest(shop, `/orders/${orderId}.json`);
+  const order = current?.order;
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  if (order.cancelled_at) throw new Error("Order is cancelled");
+  if (isOrderPaid(order)) throw new Error("Order is already paid");
+
+  const { reference: orderReference } = await nextProcardReference({
+    shop,
+    order,
+  });
+
+  const { payment, paymentUrl } = await createPaymentLink({
+    shop,
+    order,
+    orderReference,
+  });
+  if (!paymentUrl) throw new Error("Procard dispatcher rejected the request");
+
+  await supersedeOpenPayments(order.id, payment.id);
+  await setPaymentUrlAttribute(shop, Number(order.id), paymentUrl);
+
+  return { order, paymentUrl, orderReference };
+}
+
+export async function regeneratePaymentLink({ shop, orderId, email }) {
+  const { order, paymentUrl, orderReference } = await issueFreshPaymentLink({
+    shop,
+    orderId,
+  });
+
+  const to = String(email || "").trim() || order.email;
+  let emailError = null;
+  try {
+    await sendPaymentEmail(shop, to, paymentUrl, order.id);
+  } catch (e) {
+    console.error("sendPaymentEmail failed:", e);
+    emailError = String(e?.message || e);
+  }
+
+  console.log("Payment link regenerated", {
+    orderId: order.id,
+    orderReference,
+  });
+  return { paymentUrl, orderReference, emailedTo: to || null, emailError };
+}
+
+/* ---------------- EDITED ORDERS ---------------- */
+
+function chargeChanged(payment, charge) {
+  const amount = Number(payment.orderAmount ?? payment.amount);
+  const currency = payment.orderCurrency || payment.currency;
+  return (
+    Math.abs(amount - charge.orderAmount) >= 0.005 ||
+    currency !== charge.orderCurrency
+  );
+}
+
+// The open links of an unpaid order that charge another total than it has
+// now (`outdated`, newest first), and the open link for the new total once
+// there is one (`current`). Null when the edit changed nothing Procard
+// charges.
+export async function findLinksOutdatedByEdit(order) {
+  if (!order?.id || order.cancelled_at || isOrderPaid(order)) return null;
+
+  const charge = procardChargeFor(order);
+  const open = await listOpenPayments(order.id);
+  const outdated = open.filter((p) => chargeChanged(p, charge));
+  if (!outdated.length) return null;
+
+  const current = open.find(
+    (p) => p.status !== PAYMENT_STATUS.SUPERSEDED && !chargeChanged(p, charge),
+  );
+  return { charge, outdated, current: current || null };
+}
+
+export async function invalidateOutdatedLinks(order, { charge, outdated }) {
+  const reason = `Order total changed to ${charge.orderAmount} ${charge.orderCurrency}`;
+  const invalidated = await invalidatePayments(outdated, reason);
+
+  if (invalidated.length) {
+    console.log("Order total changed → payment links invalidated", {
+      orderId: order.id,
+      invalidated: invalidated.map((p) => p.orderReference),
+    });
+  }
+  return invalidated;
+}
@@ -0,0 +1,215 @@
+import prisma from "./db.server";
+import { sendPaymentReminderEmail } from "./paymentEmail.server";
+import {
+  PAYMENT_STATUS,
+  invalidateOpenPayments,
+  transitionPayment,
+} from "./procardPayments.server";
+import {
+  appendOrderNote,
+  shopifyRest,
+  splitTags,
+  tagOrder,
+} from "./shopifyOrders.server";
+
+/* ---------------- PAYMENT LINK REMINDERS + EXPIRY ---------------- */
+
+const HOUR = 60 * 60 * 1000;
+
+const OPEN_STATUSES = [
+  PAYMENT_STATUS.LINK_SENT,
+  PAYMENT_STATUS.PENDING,
+  PAYMENT_STATUS.DECLINED,
+];
+
+const PAGE_SIZE = 100;
+
+function getReminderConfig() {
+  const reminderHours = String(process.env.PROCARD_REMINDER_HOURS || "24,72")
+    .split(",")
+    .map((h) => Number(h.trim()))
+    .filter((h) => Number.isFinite(h) && h > 0)
+    .sort((a, b) => a - b);
+
+  const expiryHours = Number(process.env.PROCARD_EXPIRY_HOURS || 120);
+
+  return {
+    reminderHours,
+    expiryHours:
+      Number.isFinite(expiryHours) && expiryHours > 0 ? expiryHours : null,
+    cancelOnExpiry: process.env.PROCARD_EXPIRY_CANCEL_ORDER === "true",
+  };
+}
+
+// Claims a step before doing it; false means another run already did
+async function claimStep(paymentId, kind) {
+  try {
+    await prisma.paymentReminder.create({ data: { paymentId, kind } });
+    return true;
+  } catch (e) {
+    if (e?.code === "P2002") return false;
+    throw e;
+  }
+}
+
+async function releaseStep(paymentId, kind) {
+  await prisma.paymentReminder
+    .delete({ where: { paymentId_kind: { paymentId, kind } } })
+    .catch(() => null);
+}
+
+// Why the order no longer needs its link paid, or null while it does
+function settledReason(order) {
+  if (!order) return "Order not found";
+  if (order.cancelled_at) return "Order cancelled";
+  if (["paid", "refunded", "voided"].includes(order.financial_status)) {
+    return `Order ${order.financial_status} outside Procard`;
+  }
+  if (splitTags(order.tags).includes("paid_procard")) {
+    return "Order paid on another Procard link";
+  }
+  return null;
+}
+
+// Open payments old enough for a step, oldest first, a page at a time.
+// Keyset paging so payments leaving the open set mid-run shift nothing.
+async function* duePayments(before) {
+  let last = null;
+
+  for (;;) {
+    const page = await prisma.procardPayment.findMany({
+      where: {
+        status: { in: OPEN_STATUSES },
+        paymentUrl: { not: null },
+        createdAt: { lte: before },
+        ...(last
+          ? {
+              OR: [
+                { createdAt: { gt: last.createdAt } },
+                { createdAt: last.createdAt, id: { gt: last.id } },
+              ],
+            }
+          : {}),
+      },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      take: PAGE_SIZE,
+    });
+
+    yield* page;
+    if (page.length < PAGE_SIZE) return;
+    last = page[page.length - 1];
+  }
+}
+
+async function sendReminder(payment, order, hours) {
+  const kind = `reminder_${hours}h`;
+  if (!(await claimStep(payment.id, kind))) return false;
+
+  try {
+    await sendPaymentReminderEmail(
+      payment.shop,
+      order.email,
+      payment.paymentUrl,
+      order.id,
+    );
+  } catch (e) {
+    await releaseStep(payment.id, kind);
+    throw e;
+  }
+
+  console.log("Payment reminder sent", { orderId: order.id, kind });
+  return true;
+}
+
+async function expirePayment(payment, order, { cancelOnExpiry }) {
+  if (!(await claimStep(payment.id, "expired"))) return false;
+
+  const orderIdNumeric = Number(order.id);
+
+  try {
+    await tagOrder(
+      payment.shop,
+      orderIdNumeric,
+      ["procard_expired"],
+      ["procard_pending"],
+    );
+    await appendOrderNote(
+      payment.shop,
+      orderIdNumeric,
+      `Procard payment link expired unpaid (${new Date().toISOString()})`,
+    );
+
+    if (cancelOnExpiry) {
+      await shopifyRest(payment.shop, `/orders/${orderIdNumeric}/cancel.json`, {
+        method: "POST",
+        body: { reason: "declined", restock: true, email: false },
+      });
+      console.log("Expired order cancelled + restocked", { orderId: order.id });
+    }
+  } catch (e) {
+    await releaseStep(payment.id, "expired");
+    throw e;
+  }
+
+  await transitionPayment(payment, PAYMENT_STATUS.EXPIRED);
+  return true;
+}
+
+export async function runPaymentReminders(now = new Date()) {
+  const config = getReminderConfig();
+  const summary = {
+    checked: 0,
+    reminded: 0,
+    expired: 0,
+    skipped: 0,
+    errors: 0,
+  };
+
+  const firstStep = Math.min(
+    ...config.reminderHours,
+    config.expiryHours ?? Infinity,
+  );
+  if (!Number.isFinite(firstStep)) return summary;
+
+  const due = duePayments(new Date(now.getTime() - firstStep * HOUR));
+
+  for await (const payment of due) {
+    summary.checked++;
+
+    try {
+      const ageHours = (now.getTime() - payment.createdAt.getTime()) / HOUR;
+      const current = await shopifyRest(
+        payment.shop,
+        `/orders/${payment.orderId}.json`,
+      );
+      const order = current?.order;
+
+      // Settled outside this flow; invalidated so later runs stop fetching it
+      const settled = settledReason(order);
+      if (settled) {
+        await invalidateOpenPayments(payment.orderId, settled);
+        summary.skipped++;
+        continue;
+      }
+
+      if (config.expiryHours && ageHours >= config.expiryHours) {
+        if (await expirePayment(payment, order, config)) summary.expired++;
+        continue;
+      }
+
+      // Only the latest due reminder; a missed earlier one is not sent late
+      const dueHours = config.reminderHours.filter((h) => ageHours >= h).pop();
+      if (dueHours && (await sendReminder(payment, order, dueHours))) {
+        summary.reminded++;
+      }
+    } catch (e) {
+      summary.errors++;
+      console.error("Payment reminder failed", {
+        orderReference: payment.orderReference,
+        error: String(e),
+      });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,194 @@
+import prisma from "./db.server";
+import { splitTags } from "./shopifyOrders.server";
+
+/* ---------------- PAYMENT MATCHING RULES ---------------- */
+
+// What orders/create matched before rules were configurable; shops without
+// rules of their own keep using it.
+export const DEFAULT_PAYMENT_RULE = {
+  id: "default",
+  name: "Manual payment (default)",
+  gatewayNames: ["pay by card (email)", "manual"],
+  gatewayPattern: null,
+  tags: [],
+  channels: [],
+  minAmount: null,
+  maxAmount: null,
+};
+
+function lower(list) {
+  return (list || []).map((x) =>
+    String(x || "")
+      .trim()
+      .toLowerCase(),
+  );
+}
+
+function orderAmount(order) {
+  const n = Number(order?.current_total_price ?? order?.total_price);
+  return Number.isFinite(n) ? n : null;
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "i");
+  } catch {
+    return null;
+  }
+}
+
+// Why the order fails the rule, or null when it passes every criterion
+function ruleMismatch(rule, order) {
+  const gateways = lower(order?.payment_gateway_names);
+
+  if (rule.gatewayNames.length) {
+    const names = lower(rule.gatewayNames);
+    if (!gateways.some((g) => names.includes(g))) {
+      return `gateway ${JSON.stringify(gateways)} not in ${JSON.stringify(names)}`;
+    }
+  }
+
+  if (rule.gatewayPattern) {
+    const pattern = compilePattern(rule.gatewayPattern);
+    if (!pattern) return `invalid pattern /${rule.gatewayPattern}/`;
+    if (!gateways.some((g) => pattern.test(g))) {
+      return `gateway ${JSON.stringify(gateways)} does not match /${rule.gatewayPattern}/`;
+    }
+  }
+
+  if (rule.tags.length) {
+    const tags = lower(splitTags(order?.tags));
+    if (!lower(rule.tags).some((t) => tags.includes(t))) {
+      return `none of the tags ${JSON.stringify(rule.tags)}`;
+    }
+  }
+
+  if (rule.channels.length) {
+    const channel = String(order?.source_name || "").toLowerCase();
+    if (!lower(rule.channels).includes(channel)) {
+      return `channel "${channel}" not in ${JSON.stringify(rule.channels)}`;
+    }
+  }
+
+  const amount = orderAmount(order);
+  if (rule.minAmount != null && !(amount >= Number(rule.minAmount))) {
+    return `amount ${amount} below ${rule.minAmount}`;
+  }
+  if (rule.maxAmount != null && !(amount <= Number(rule.maxAmount))) {
+    return `amount ${amount} above ${rule.maxAmount}`;
+  }
+
+  return null;
+}
+
+// Returns { rule, skipped } where rule is the first rule the order passes
+// (or null) and skipped lists why each earlier rule did not match.
+export function evaluatePaymentRules(rules, order) {
+  const skipped = [];
+
+  for (const rule of rules) {
+    const reason = ruleMismatch(rule, order);
+    if (!reason) return { rule, skipped };
+    skipped.push({ rule: rule.name, reason });
+  }
+
+  return { rule: null, skipped };
+}
+
+export async function listPaymentRules(shop) {
+  return prisma.paymentRule.findMany({
+    where: { shop },
+    orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+  });
+}
+
+// The shop's enabled rules, or the default when it has configured none
+export async function matchPaymentRule(shop, order) {
+  const rules = shop ? await listPaymentRules(shop) : [];
+  const active = rules.length
+    ? rules.filter((r) => r.enabled)
+    : [DEFAULT_PAYMENT_RULE];
+
+  return evaluatePaymentRules(active, order);
+}
+
+/* ---------------- ADMIN ---------------- */
+
+function listField(value) {
+  return String(value || "")
+    .split(/[,\n]/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+function amountField(value, label, errors) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) {
+    errors.push(`${label} must be a positive number`);
+    return null;
+  }
+  return n;
+}
+
+// Returns { data, errors } for a rule submitted from the admin
+export function parsePaymentRuleForm(formData) {
+  const errors = [];
+  const gatewayPattern = String(formData.get("gatewayPattern") || "").trim();
+
+  const data = {
+    name: String(formData.get("name") || "").trim(),
+    position: Number(formData.get("position")) || 0,
+    gatewayNames: listField(formData.get("gatewayNames")),
+    gatewayPattern: gatewayPattern || null,
+    tags: listField(formData.get("tags")),
+    channels: listField(formData.get("channels")),
+    minAmount: amountField(formData.get("minAmount"), "Minimum amount", errors),
+    maxAmount: amountField(formData.get("maxAmount"), "Maximum amount", errors),
+  };
+
+  if (!data.name) errors.push("Name is required");
+  if (gatewayPattern && !compilePattern(gatewayPattern)) {
+    errors.push(`Gateway pattern /${gatewayPattern}/ is not a valid regex`);
+  }
+  if (
+    data.minAmount != null &&
+    data.maxAmount != null &&
+    data.minAmount > data.maxAmount
+  ) {
+    errors.push("Minimum amount is above the maximum");
+  }
+  // A rule with no criteria would send a link for every order
+  if (
+    !data.gatewayNames.length &&
+    !data.gatewayPattern &&
+    !data.tags.length &&
+    !data.channels.length
+  ) {
+    errors.push("Set at least a gateway name, pattern, tag or channel");
+  }
+
+  return { data, errors };
+}
+
+export async function createPaymentRule(shop, data) {
+  return prisma.paymentRule.create({ data: { ...data, shop } });
+}
+
+// Scoped to the shop so an admin can only change their own rules
+export async function setPaymentRuleEnabled(shop, id, enabled) {
+  const { count } = await prisma.paymentRule.updateMany({
+    where: { id, shop },
+    data: { enabled },
+  });
+  if (count !== 1) throw new Error("Rule not found");
+}
+
+export async function deletePaymentRule(shop, id) {
+  const { count } = await prisma.paymentRule.deleteMany({
+    where: { id, shop },
+  });
+  if (count !== 1) throw new Error("Rule not found");
+}
@@ -0,0 +1,61 @@
+import { isOrderPaid } from "./paymentLinks.server";
+import { PAYMENT_STATUS, listPaymentsForOrder } from "./procardPayments.server";
+import { shopifyRest } from "./shopifyOrders.server";
+
+/* ---------------- CUSTOMER PAYMENT STATUS ---------------- */
+
+const PAID = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+// Procard closed these links; only then does "Pay now" issue another
+const RENEWABLE = [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.DECLINED];
+
+// What the customer sees, from the Procard state recorded by callbacks:
+// "paid", "refunded", "processing", "cancelled" or "unpaid". Null when the
+// order is unknown. An unpaid order carries the link that can still be paid
+// (`paymentUrl`), or whether a new one may be issued (`renewable`).
+export async function loadPaymentStatus({ shop, orderId }) {
+  const payments = await listPaymentsForOrder({ shop, orderId });
+  const paid = payments.find((p) => PAID.includes(p.status));
+  const orderName = payments[0]?.orderName || null;
+
+  if (paid) {
+    return {
+      state: "paid",
+      orderName,
+      amount: String(paid.paidAmount ?? paid.amount),
+      currency: paid.paidCurrency || paid.currency,
+      paidAt: paid.paidAt?.toISOString() || null,
+    };
+  }
+  if (payments.some((p) => p.status === PAYMENT_STATUS.REFUNDED)) {
+    return { state: "refunded", orderName };
+  }
+
+  const current = await shopifyRest(shop, `/orders/${orderId}.json`);
+  const order = current?.order;
+  if (!order) return null;
+
+  const name = orderName || order.name || null;
+  if (order.cancelled_at) return { state: "cancelled", orderName: name };
+  if (isOrderPaid(order)) return { state: "paid", orderName: name };
+
+  // Procard has the payment but has not called back with a result yet
+  if (payments[0]?.status === PAYMENT_STATUS.PENDING) {
+    return { state: "processing", orderName: name };
+  }
+
+  // What Procard charges, which may be another currency than the order's
+  const open = payments.find(
+    (p) => p.status === PAYMENT_STATUS.LINK_SENT && p.paymentUrl,
+  );
+  const latest = open || payments[0];
+
+  return {
+    state: "unpaid",
+    orderName: name,
+    amount: latest ? String(latest.amount) : null,
+    currency: latest?.currency || null,
+    paymentUrl: open?.paymentUrl || null,
+    renewable: !open && RENEWABLE.includes(latest?.status),
+  };
+}
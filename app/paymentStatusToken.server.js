@@ -0,0 +1,70 @@
+import crypto from "crypto";
+
+/* ---------------- CUSTOMER PAYMENT STATUS TOKENS ---------------- */
+
+// Links live in customers' inboxes; long enough to outlast any payment
+const TOKEN_TTL_DAYS = 90;
+
+function tokenKey() {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret) throw new Error("Missing SHOPIFY_API_SECRET");
+  return crypto
+    .createHmac("sha256", secret)
+    .update("payment-status-token")
+    .digest();
+}
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", tokenKey())
+    .update(payload)
+    .digest("base64url");
+}
+
+export function createPaymentStatusToken({ shop, orderId }) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      shop,
+      orderId: String(orderId),
+      exp: Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    }),
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// { shop, orderId } for a genuine, unexpired token; null otherwise
+export function verifyPaymentStatusToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!data?.shop || !data?.orderId || !(data.exp > Date.now())) return null;
+    return { shop: data.shop, orderId: String(data.orderId) };
+  } catch {
+    return null;
+  }
+}
+
+// Storefront path of the app proxy page: [app_proxy] prefix and subpath in
+// shopify.app.toml, then the route under /proxy
+export const PAYMENT_STATUS_PATH = "/apps/payment/status";
+
+export function paymentStatusPath(token) {
+  return `${PAYMENT_STATUS_PATH}?token=${encodeURIComponent(token)}`;
+}
+
+export function paymentStatusUrl({ shop, orderId }) {
+  const token = createPaymentStatusToken({ shop, orderId });
+  return `https://${shop}${paymentStatusPath(token)}`;
+}
@@ -0,0 +1,796 @@
+import prisma from "./db.server";
+import {
+  postOfficeHeaders,
+  postOfficeUrl,
+  trackingUrlFor,
+} from "./postOfficeApi.server";
+import {
+  loadLineItemMeasurements,
+  measureParcel,
+  packParcels,
+} from "./parcelMeasurements.server";
+import { resolveCity } from "./postOfficeCities.server";
+import { getShopConfig } from "./shopConfig.server";
+import {
+  countryCodeFromShippingAddress,
+  countryIdFromShippingAddress,
+} from "./postOfficeCountries.server";
+import {
+  appendOrderNote,
+  shopifyRest,
+  splitTags,
+  tagOrder,
+} from "./shopifyOrders.server";
+
+/* ---------------- POSTOFFICE RESPONSE ---------------- */
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    const value = obj?.[key];
+    if (value !== undefined && value !== null && value !== "") {
+      return String(value);
+    }
+  }
+  return null;
+}
+
+// bulk-insert answers with one entry per parcel, either bare or wrapped
+function parcelList(response) {
+  const list = Array.isArray(response)
+    ? response
+    : (response?.data ?? response?.Data ?? response?.orders ?? response);
+  if (Array.isArray(list)) return list;
+  return list ? [list] : [];
+}
+
+function parcelIdentifiers(parcel) {
+  return {
+    refid: pick(parcel, ["Refid", "RefId", "refid", "refId"]),
+    postOfficeId: pick(parcel, ["Id", "id", "OrderId", "orderId"]),
+    barcode: pick(parcel, [
+      "Barcode",
+      "barcode",
+      "BarCode",
+      "TrackingNumber",
+      "trackingNumber",
+      "Code",
+      "code",
+    ]),
+  };
+}
+
+// Pairs each requested parcel with its response entry, by Refid when the
+// response echoes it, otherwise by position.
+export function extractParcelIdentifiers(response, requested) {
+  const entries = parcelList(response).map(parcelIdentifiers);
+
+  return requested.map((parcel, index) => {
+    const byRefid = parcel.Refid
+      ? entries.find((e) => e.refid === String(parcel.Refid))
+      : null;
+    const match = byRefid || entries[index] || {};
+    return {
+      postOfficeId: match.postOfficeId || null,
+      barcode: match.barcode || null,
+    };
+  });
+}
+
+/* ---------------- POSTOFFICE PAYLOAD ---------------- */
+
+function normalizeCityLabel(city) {
+  if (!city) return "";
+  return String(city).trim();
+}
+
+// One deadline for the whole exchange, redirects and body included; well
+// inside STALE_LOCK so a slow PostOffice never outlives the booking's lock
+const POSTOFFICE_TIMEOUT = 60 * 1000;
+
+async function postJsonWithRedirects(
+  url,
+  { headers, body, signal, maxRedirects = 3 },
+) {
+  let currentUrl = url;
+
+  for (let attempt = 0; attempt <= maxRedirects; attempt++) {
+    const res = await fetch(currentUrl, {
+      method: "POST",
+      redirect: "manual",
+      headers,
+      body,
+      signal,
+    });
+
+    if ([301, 302, 303, 307, 308].includes(res.status)) {
+      const location = res.headers.get("location");
+      console.error("PostOffice bulk-insert redirect", {
+        status: res.status,
+        from: currentUrl,
+        to: location,
+      });
+
+      if (!location) return res;
+      currentUrl = new URL(location, currentUrl).toString();
+
+      if (attempt === maxRedirects) return res;
+      continue;
+    }
+
+    return res;
+  }
+
+  throw new Error("Too many redirects");
+}
+
+function getOrderPriceFromPayload(order) {
+  const candidates = [
+    order?.current_total_price,
+    order?.total_price,
+    order?.current_total_price_set?.shop_money?.amount,
+    order?.total_price_set?.shop_money?.amount,
+  ];
+
+  for (const c of candidates) {
+    const n = Number(c);
+    if (Number.isFinite(n)) return n;
+  }
+
+  return 0;
+}
+
+/* ---------------- CASH ON DELIVERY ---------------- */
+
+function codGateways() {
+  return String(
+    process.env.POSTOFFICE_COD_GATEWAYS ||
+      "Cash on Delivery (COD),cash_on_delivery,cod",
+  )
+    .split(",")
+    .map((g) => g.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isPrepaid(order) {
+  if (splitTags(order?.tags).includes("paid_procard")) return true;
+  return ["paid", "partially_refunded", "refunded"].includes(
+    order?.financial_status,
+  );
+}
+
+function isCodOrder(order) {
+  const gateways = codGateways();
+  return (order?.payment_gateway_names || [order?.gateway])
+    .filter(Boolean)
+    .some((name) => gateways.includes(String(name).trim().toLowerCase()));
+}
+
+// What the courier collects: nothing for prepaid orders, the outstanding
+// balance for COD gateways. Anything else is not ours to collect.
+function collectAmountFor(order) {
+  if (isPrepaid(order)) return { mode: "prepaid", amount: 0 };
+
+  if (isCodOrder(order)) {
+    const outstanding = Number(order?.total_outstanding);
+    return {
+      mode: "cod",
+      amount: Number.isFinite(outstanding)
+        ? outstanding
+        : getOrderPriceFromPayload(order),
+    };
+  }
+
+  console.warn("PostOffice parcel without COD gateway collects nothing", {
+    orderId: order?.id,
+    financialStatus: order?.financial_status,
+    gateways: order?.payment_gateway_names,
+  });
+  return { mode: "none", amount: 0 };
+}
+
+function hasRequiredShipping(shipping) {
+  return Boolean(
+    shipping?.address1 &&
+    shipping?.city &&
+    shipping?.first_name &&
+    shipping?.last_name,
+  );
+}
+
+function describeItems(items) {
+  return items
+    .map((li) => `${li?.title ?? ""} x${li?.quantity ?? 1}`.trim())
+    .filter(Boolean)
+    .join(", ");
+}
+
+// One entry per box; boxes of the same order share the Refid prefix
+async function buildParcels(
+  shop,
+  order,
+  { exchangeable, countryId, cityLabel, defaultWeightKg },
+) {
+  const shipping = order?.shipping_address;
+
+  const firstName = shipping?.first_name || "";
+  const lastName = shipping?.last_name || "";
+  const address = shipping?.address1 || "";
+  const addressDetails = shipping?.address2 || "";
+  const phone = shipping?.phone || order?.phone || "";
+
+  const orderPrice = getOrderPriceFromPayload(order);
+  const collect = collectAmountFor(order);
+  const orderDescription = order?.note || "";
+
+  const refid = String(order?.order_number || order?.name || order?.id || "");
+  const items = await loadLineItemMeasurements(shop, order);
+  const boxes = packParcels(items);
+
+  return boxes.map((boxItems, index) => {
+    const { width, length, height, weight } = measureParcel(boxItems, {
+      orderId: order?.id,
+      defaultWeightKg,
+    });
+    const packageDescription = describeItems(
+      boxItems.length ? boxItems : order?.line_items || [],
+    );
+    const parcelRefid =
+      refid && boxes.length > 1 ? `${refid}-${index + 1}` : refid;
+
+    // Money is collected and declared once, with the first box
+    const first = index === 0;
+
+    return {
+      FirstName: firstName,
+      LastName: lastName,
+      Address: address,
+      AddressDetails: addressDetails || undefined,
+      Phone: phone,
+      Width: width,
+      Length: length,
+      Height: height,
+      Weight: weight,
+      Openable: true,
+      Fragile: false,
+      Declared: false,
+      Exchangeable: exchangeable,
+      Invoice: false,
+      OrderPrice: first ? collect.amount : 0,
+      OrderDescription: orderDescription || undefined,
+      PackageDescription: packageDescription || undefined,
+      Refid: parcelRefid || undefined,
+      SectionId: -1,
+      SellerId: -1,
+      UserId: -1,
+      CountryId: countryId,
+      CityLabel: cityLabel || normalizeCityLabel(shipping?.city),
+      OrdersRealPrice: first ? orderPrice : 0,
+    };
+  });
+}
+
+/* ---------------- SHIPMENT REGISTRY ---------------- */
+
+export const SHIPMENT_STATUS = {
+  SUBMITTING: "submitting",
+  SUBMITTED: "submitted",
+  FAILED: "failed",
+  HELD: "held",
+  UNSHIPPABLE: "unshippable",
+  CANCELLED: "cancelled",
+  // The booking may or may not have reached PostOffice; only staff resend it
+  INTERRUPTED: "interrupted",
+};
+
+const RECLAIMABLE = [
+  SHIPMENT_STATUS.FAILED,
+  SHIPMENT_STATUS.HELD,
+  SHIPMENT_STATUS.UNSHIPPABLE,
+];
+
+// A worker that died mid-booking leaves it "submitting". After this long it
+// is marked interrupted: the parcel may exist at PostOffice, so booking it
+// again is left to staff, who check PostOffice first.
+const STALE_LOCK = 10 * 60 * 1000;
+
+function reclaimable({ manual = false } = {}) {
+  return {
+    status: {
+      in: manual ? [...RECLAIMABLE, SHIPMENT_STATUS.INTERRUPTED] : RECLAIMABLE,
+    },
+  };
+}
+
+async function interruptStaleBooking(shop, orderId) {
+  const { count } = await prisma.shipment.updateMany({
+    where: {
+      orderId,
+      status: SHIPMENT_STATUS.SUBMITTING,
+      lockedAt: { lt: new Date(Date.now() - STALE_LOCK) },
+    },
+    data: {
+      status: SHIPMENT_STATUS.INTERRUPTED,
+      lockedAt: null,
+      lastError:
+        "PostOffice booking interrupted; check PostOffice for the parcel before sending again",
+    },
+  });
+  if (!count) return;
+
+  console.error("PostOffice booking interrupted → manual review", { orderId });
+  await tagOrder(shop, Number(orderId), ["postoffice_booking_review"]);
+}
+
+// Only one caller may book a parcel per order; a failed, held or
+// unshippable booking can be claimed again, a submitted (or in-flight) one
+// never. An interrupted one only by staff (`manual`).
+async function claimShipment({ shop, order, source, manual }) {
+  const orderId = String(order.id);
+
+  try {
+    return await prisma.shipment.create({
+      data: {
+        shop: shop || null,
+        orderId,
+        orderName: order?.name ? String(order.name) : null,
+        source,
+        status: SHIPMENT_STATUS.SUBMITTING,
+        lockedAt: new Date(),
+        attempts: 1,
+      },
+    });
+  } catch (e) {
+    if (e?.code !== "P2002") throw e;
+  }
+
+  await interruptStaleBooking(shop, orderId);
+  const { count } = await prisma.shipment.updateMany({
+    where: { orderId, ...reclaimable({ manual }) },
+    data: {
+      source,
+      status: SHIPMENT_STATUS.SUBMITTING,
+      lockedAt: new Date(),
+      attempts: { increment: 1 },
+      lastError: null,
+    },
+  });
+
+  return count ? prisma.shipment.findUnique({ where: { orderId } }) : null;
+}
+
+// The claim this caller made; a booking interrupted meanwhile is not its own
+function heldBy(shipment) {
+  return {
+    id: shipment.id,
+    status: SHIPMENT_STATUS.SUBMITTING,
+    lockedAt: shipment.lockedAt,
+  };
+}
+
+// Only while this caller still holds the booking
+async function failShipment(
+  shipment,
+  error,
+  data = {},
+  status = SHIPMENT_STATUS.FAILED,
+) {
+  await prisma.shipment.updateMany({
+    where: heldBy(shipment),
+    data: { ...data, status, lockedAt: null, lastError: error },
+  });
+}
+
+function parseResponseText(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return { raw: text };
+  }
+}
+
+// Destinations missing from POSTOFFICE_COUNTRIES are never booked
+async function rejectDestination(shop, shipment, order, shipping) {
+  const code = countryCodeFromShippingAddress(shipping) || "unknown";
+  const error = `Country ${code} is not shippable via PostOffice`;
+
+  console.error("PostOffice destination not supported", {
+    orderId: order?.id,
+    country: code,
+  });
+  await prisma.shipment.update({
+    where: { id: shipment.id },
+    data: {
+      status: SHIPMENT_STATUS.UNSHIPPABLE,
+      lockedAt: null,
+      lastError: error,
+    },
+  });
+
+  const tags = splitTags(order?.tags);
+  if (!tags.includes("postoffice_unsupported_country")) {
+    await tagOrder(shop, Number(order.id), ["postoffice_unsupported_country"]);
+    await appendOrderNote(
+      shop,
+      Number(order.id),
+      `${error} (${new Date().toISOString()})`,
+    );
+  }
+
+  return { status: "unshippable", shipment };
+}
+
+// Returns { status, shipment } with status one of "submitted", "duplicate",
+// "skipped", "held", "unshippable", "interrupted" or "cancelled". A duplicate
+// carries the existing shipment, which may still be in flight
+// ("submitting"). Throws when PostOffice rejects the booking. `manual` is
+// staff resending an interrupted booking after checking PostOffice.
+export async function submitShipment({
+  shop,
+  order,
+  source,
+  exchangeable = false,
+  manual = false,
+}) {
+  const { postOffice } = await getShopConfig(shop);
+
+  const shipment = await claimShipment({ shop, order, source, manual });
+  if (!shipment) {
+    const existing = await prisma.shipment.findUnique({
+      where: { orderId: String(order.id) },
+    });
+    const cancelled = existing?.status === SHIPMENT_STATUS.CANCELLED;
+    console.log(
+      cancelled
+        ? "PostOffice shipment cancelled with the order → skip"
+        : "PostOffice shipment already booked → skip",
+      { orderId: order?.id, source, status: existing?.status },
+    );
+    return {
+      status: cancelled ? "cancelled" : "duplicate",
+      shipment: existing,
+    };
+  }
+
+  // Whatever throws from here on must not leave the claim "submitting"
+  try {
+    return await bookShipment(shop, shipment, order, {
+      postOffice,
+      exchangeable,
+    });
+  } catch (e) {
+    await failShipment(shipment, String(e?.message || e));
+    throw e;
+  }
+}
+
+async function bookShipment(
+  shop,
+  shipment,
+  order,
+  { postOffice, exchangeable },
+) {
+  const bulkInsertPath =
+    process.env.POSTOFFICE_BULK_INSERT_PATH || "/api/order/bulk-insert";
+  const url = postOfficeUrl(postOffice, bulkInsertPath);
+  const headers = postOfficeHeaders(postOffice);
+
+  const shipping = order?.shipping_address;
+  if (!hasRequiredShipping(shipping)) {
+    console.error(
+      "Skipping PostOffice bulk-insert: missing required shipping fields",
+      {
+        orderId: order?.id,
+        orderNumber: order?.order_number,
+        hasShipping: Boolean(shipping),
+        address1: Boolean(shipping?.address1),
+        city: Boolean(shipping?.city),
+        first_name: Boolean(shipping?.first_name),
+        last_name: Boolean(shipping?.last_name),
+      },
+    );
+    await failShipment(shipment, "Missing required shipping fields");
+    return { status: "skipped", shipment };
+  }
+
+  const countryId = countryIdFromShippingAddress(shipping);
+  if (!countryId) {
+    return rejectDestination(shop, shipment, order, shipping);
+  }
+
+  // Cities PostOffice does not know are held for review, not sent blindly
+  const resolved = await resolveCity(countryId, shipping.city);
+  if (resolved.catalogEmpty) {
+    console.warn("PostOffice city catalog empty, sending city as entered", {
+      countryId,
+      city: shipping.city,
+    });
+  } else if (!resolved.city) {
+    console.error("PostOffice city not in catalog → held for review", {
+      orderId: order?.id,
+      countryId,
+      city: shipping.city,
+    });
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: {
+        status: SHIPMENT_STATUS.HELD,
+        lockedAt: null,
+        lastError: `Unknown city "${shipping.city}"`,
+      },
+    });
+    await tagOrder(shop, Number(order.id), ["postoffice_address_review"]);
+    return { status: "held", shipment };
+  }
+
+  const body = await buildParcels(shop, order, {
+    exchangeable,
+    countryId,
+    cityLabel: resolved.city?.label,
+    defaultWeightKg: postOffice.defaultWeightKg,
+  });
+  // Prisma Json columns reject undefined values nested in objects
+  const requestJson = JSON.parse(JSON.stringify(body));
+  let res;
+  let text;
+  try {
+    res = await postJsonWithRedirects(url, {
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(POSTOFFICE_TIMEOUT),
+    });
+    text = await res.text();
+  } catch (e) {
+    // PostOffice may have booked the parcel without answering in time
+    if (e?.name === "TimeoutError") {
+      console.error("PostOffice bulk-insert timed out → manual review", {
+        orderId: order?.id,
+      });
+      await failShipment(
+        shipment,
+        "PostOffice did not answer in time; check PostOffice for the parcel before sending again",
+        { request: requestJson },
+        SHIPMENT_STATUS.INTERRUPTED,
+      );
+      await tagOrder(shop, Number(order.id), ["postoffice_booking_review"]);
+      return { status: "interrupted", shipment };
+    }
+    await failShipment(shipment, String(e), { request: requestJson });
+    throw e;
+  }
+
+  if (!res.ok) {
+    console.error("PostOffice bulk-insert failed", {
+      status: res.status,
+      url: res.url,
+      body: text,
+    });
+    await failShipment(shipment, text || `HTTP ${res.status}`, {
+      request: requestJson,
+      response: parseResponseText(text),
+    });
+    throw new Error(text || "PostOffice bulk-insert failed");
+  }
+
+  const response = parseResponseText(text);
+  const identifiers = extractParcelIdentifiers(response, body);
+  if (identifiers.some((p) => !p.postOfficeId && !p.barcode)) {
+    console.warn("PostOffice response has no parcel id/barcode", { response });
+  }
+
+  // Recorded only while this caller still holds the booking
+  const submitted = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.shipment.updateMany({
+      where: heldBy(shipment),
+      data: {
+        status: SHIPMENT_STATUS.SUBMITTED,
+        lockedAt: null,
+        request: requestJson,
+        response,
+        submittedAt: new Date(),
+      },
+    });
+    if (!count) return null;
+
+    await tx.shipmentParcel.deleteMany({ where: { shipmentId: shipment.id } });
+    await tx.shipmentParcel.createMany({
+      data: body.map((parcel, index) => ({
+        shipmentId: shipment.id,
+        position: index + 1,
+        refid: parcel.Refid || null,
+        description: parcel.PackageDescription || null,
+        weight: parcel.Weight,
+        ...identifiers[index],
+        trackingUrl: identifiers[index].barcode
+          ? trackingUrlFor(identifiers[index].barcode)
+          : null,
+      })),
+    });
+    return tx.shipment.findUnique({
+      where: { id: shipment.id },
+      include: { parcels: true },
+    });
+  });
+
+  // Booked after the claim was interrupted: keep what PostOffice said on the
+  // record for the staff reviewing it
+  if (!submitted) {
+    console.error("PostOffice booked a parcel after the lock was lost", {
+      orderId: order?.id,
+      response,
+    });
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: {
+        lastError: `PostOffice booked ${JSON.stringify(identifiers)} after the booking was interrupted`,
+      },
+    });
+    return { status: "interrupted", shipment };
+  }
+
+  const staleTags = [
+    "postoffice_address_review",
+    "postoffice_unsupported_country",
+  ];
+  if (splitTags(order?.tags).some((t) => staleTags.includes(t))) {
+    await tagOrder(shop, Number(order.id), [], staleTags);
+  }
+
+  return { status: "submitted", shipment: submitted };
+}
+
+/* ---------------- CANCELLATION ---------------- */
+
+// Any tracking event means the courier already has the parcel
+function isPickedUp(shipment) {
+  return (
+    Boolean(shipment.fulfillmentEvent) ||
+    shipment.parcels.some((p) => p.fulfillmentEvent)
+  );
+}
+
+function cancelPathFor(parcel) {
+  const template =
+    process.env.POSTOFFICE_CANCEL_PATH || "/api/order/cancel/{id}";
+  return template
+    .replace("{barcode}", encodeURIComponent(parcel.barcode || ""))
+    .replace("{id}", encodeURIComponent(parcel.postOfficeId || ""));
+}
+
+async function requestParcelCancel(postOffice, parcel) {
+  if (!parcel.postOfficeId && !parcel.barcode) {
+    throw new Error(`Parcel ${parcel.position} has no PostOffice id`);
+  }
+
+  const res = await fetch(postOfficeUrl(postOffice, cancelPathFor(parcel)), {
+    method: "POST",
+    headers: postOfficeHeaders(postOffice),
+  });
+  const text = await res.text();
+
+  if (!res.ok) {
+    console.error("PostOffice cancel failed", {
+      status: res.status,
+      barcode: parcel.barcode,
+      body: text,
+    });
+    throw new Error(text || `HTTP ${res.status}`);
+  }
+}
+
+// Returns { status } with status one of "none", "cancelled", "picked_up",
+// "in_progress" or "failed" (with error). A booking that never went through
+// is only marked cancelled so nothing claims it again; one still in flight
+// has to settle first; an interrupted one is left to staff.
+export async function cancelShipment({ shop, orderId }) {
+  await interruptStaleBooking(shop, String(orderId));
+  const shipment = await prisma.shipment.findUnique({
+    where: { orderId: String(orderId) },
+    include: { parcels: { orderBy: { position: "asc" } } },
+  });
+  if (!shipment) return { status: "none" };
+  if (shipment.status === SHIPMENT_STATUS.CANCELLED) {
+    return { status: "cancelled" };
+  }
+
+  if (shipment.status !== SHIPMENT_STATUS.SUBMITTED) {
+    const { count } = await prisma.shipment.updateMany({
+      where: { id: shipment.id, ...reclaimable() },
+      data: { status: SHIPMENT_STATUS.CANCELLED, lockedAt: null },
+    });
+    if (count) return { status: "cancelled" };
+    if (shipment.status !== SHIPMENT_STATUS.INTERRUPTED) {
+      return { status: "in_progress" };
+    }
+    return {
+      status: "failed",
+      error:
+        "PostOffice booking interrupted; cancel the parcel at PostOffice if it exists",
+    };
+  }
+  if (isPickedUp(shipment)) return { status: "picked_up" };
+
+  // Parcels cancelled on an earlier attempt are not asked for again
+  const { postOffice } = await getShopConfig(shop);
+  try {
+    for (const parcel of shipment.parcels) {
+      if (parcel.cancelledAt) continue;
+      await requestParcelCancel(postOffice, parcel);
+      await prisma.shipmentParcel.update({
+        where: { id: parcel.id },
+        data: { cancelledAt: new Date() },
+      });
+    }
+  } catch (e) {
+    const error = `PostOffice cancel failed: ${e?.message || e}`;
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: { lastError: error },
+    });
+    return { status: "failed", error };
+  }
+
+  await prisma.shipment.update({
+    where: { id: shipment.id },
+    data: { status: SHIPMENT_STATUS.CANCELLED, lastError: null },
+  });
+  return { status: "cancelled" };
+}
+
+// Retries a held, failed or interrupted booking from the admin with the
+// order as it is now. Exchangeable follows the original path: prepaid
+// Procard parcels are.
+export async function resubmitShipment({ shop, orderId }) {
+  const shipment = await prisma.shipment.findFirst({
+    where: { shop, orderId: String(orderId) },
+  });
+  if (!shipment) throw new Error("Order was never sent to PostOffice");
+
+  const current = await shopifyRest(shop, `/orders/${orderId}.json`);
+  const order = current?.order;
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  const result = await submitShipment({
+    shop,
+    order,
+    source: shipment.source,
+    exchangeable: shipment.source === "procard_callback",
+    manual: true,
+  });
+
+  if (result.status === "submitted" && shipment.source === "procard_callback") {
+    await tagOrder(shop, Number(order.id), ["sent_to_postoffice"]);
+  }
+  return result;
+}
+
+// Scoped to the shop so an admin only ever sees their own parcels
+export async function findShipmentsForOrders(shop, orderIds) {
+  if (!orderIds.length) return [];
+  return prisma.shipment.findMany({
+    where: { shop, orderId: { in: orderIds.map(String) } },
+    include: { parcels: { orderBy: { position: "asc" } } },
+  });
+}
+
+export async function listRecentShipments({ shop, query, take = 50 }) {
+  const q = String(query || "")
+    .trim()
+    .replace(/^#/, "");
+
+  return prisma.shipment.findMany({
+    where: {
+      shop,
+      ...(q
+        ? {
+            OR: [
+              { orderName: { contains: q, mode: "insensitive" } },
+              { orderId: q },
+            ],
+          }
+        : {}),
+    },
+    include: { parcels: { orderBy: { position: "asc" } } },
+    orderBy: { updatedAt: "desc" },
+    take,
+  });
+}
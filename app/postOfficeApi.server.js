@@ -0,0 +1,46 @@
+/* ---------------- POSTOFFICE API ---------------- */
+
+// `postOffice` is the shop's PostOffice config from getShopConfig
+export function postOfficeUrl(postOffice, path) {
+  const baseUrl = postOffice?.baseUrl;
+  if (!baseUrl) throw new Error("Missing POSTOFFICE_BASE_URL");
+
+  return `${baseUrl.replace(/\/$/, "")}${path.startsWith("/") ? "" : "/"}${path}`;
+}
+
+export function postOfficeHeaders(postOffice) {
+  const token = postOffice?.token;
+  if (!token) throw new Error("Missing POSTOFFICE_TOKEN");
+
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+}
+
+export function citiesPath(countryId) {
+  return (
+    process.env.POSTOFFICE_CITIES_PATH || "/api/city/list/{countryId}"
+  ).replace("{countryId}", encodeURIComponent(countryId));
+}
+
+export function trackingUrlFor(barcode) {
+  const template = process.env.POSTOFFICE_TRACKING_URL;
+  if (!template) return null;
+  return template.replace("{barcode}", encodeURIComponent(barcode));
+}
+
+// Settings "test connection": a city list read needs a valid token only
+export async function testPostOfficeConnection(postOffice, countryId) {
+  if (!postOffice?.baseUrl || !postOffice?.token) {
+    return { ok: false, error: "Base URL and token are required" };
+  }
+
+  const res = await fetch(postOfficeUrl(postOffice, citiesPath(countryId)), {
+    headers: postOfficeHeaders(postOffice),
+  });
+
+  return res.ok
+    ? { ok: true }
+    : { ok: false, error: `PostOffice answered HTTP ${res.status}` };
+}
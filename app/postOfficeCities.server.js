@@ -0,0 +1,175 @@
+import prisma from "./db.server";
+import {
+  citiesPath,
+  postOfficeHeaders,
+  postOfficeUrl,
+} from "./postOfficeApi.server";
+import { postOfficeCountries } from "./postOfficeCountries.server";
+import { getShopConfig, legacyShop } from "./shopConfig.server";
+
+/* ---------------- CITY CATALOG ---------------- */
+
+// "Prishtinë", "PRISHTINA " and "Priština" all reduce to plain ascii
+export function normalizeCityName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/đ/g, "dj")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// Short names must match exactly; longer ones tolerate a typo or two
+function maxDistance(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// Returns { city, match: "exact" | "alias" | "fuzzy" } or { city: null }.
+// An empty catalog for the country resolves nothing but is reported, so
+// submissions are not held before the catalog has been synced.
+export async function resolveCity(countryId, label) {
+  const normalized = normalizeCityName(label);
+
+  const cities = await prisma.postOfficeCity.findMany({
+    where: { countryId },
+    include: { aliases: true },
+  });
+  if (!cities.length) return { city: null, catalogEmpty: true };
+  if (!normalized) return { city: null };
+
+  const exact = cities.find((c) => c.normalized === normalized);
+  if (exact) return { city: exact, match: "exact" };
+
+  const alias = cities.find((c) =>
+    c.aliases.some((a) => a.normalized === normalized),
+  );
+  if (alias) return { city: alias, match: "alias" };
+
+  const limit = maxDistance(normalized.length);
+  const scored = cities
+    .map((city) => ({
+      city,
+      distance: Math.min(
+        ...[city.normalized, ...city.aliases.map((a) => a.normalized)].map(
+          (name) => levenshtein(normalized, name),
+        ),
+      ),
+    }))
+    .filter((s) => s.distance <= limit)
+    .sort((a, b) => a.distance - b.distance);
+
+  // A tie between two different cities is ambiguous, not a match
+  if (!scored.length || scored[1]?.distance === scored[0].distance) {
+    return { city: null };
+  }
+  return { city: scored[0].city, match: "fuzzy" };
+}
+
+export async function listCities(countryId) {
+  return prisma.postOfficeCity.findMany({
+    where: { countryId },
+    orderBy: { label: "asc" },
+  });
+}
+
+export async function addCityAlias(cityId, alias) {
+  const city = await prisma.postOfficeCity.findUnique({
+    where: { id: cityId },
+  });
+  if (!city) throw new Error("Unknown city");
+
+  const normalized = normalizeCityName(alias);
+  if (!normalized) throw new Error("Alias is empty");
+
+  return prisma.postOfficeCityAlias.upsert({
+    where: {
+      countryId_normalized: { countryId: city.countryId, normalized },
+    },
+    create: {
+      cityId,
+      countryId: city.countryId,
+      alias: String(alias).trim(),
+      normalized,
+    },
+    update: { cityId, alias: String(alias).trim() },
+  });
+}
+
+/* ---------------- CATALOG SYNC ---------------- */
+
+async function fetchPostOfficeCities(postOffice, countryId) {
+  const res = await fetch(postOfficeUrl(postOffice, citiesPath(countryId)), {
+    headers: postOfficeHeaders(postOffice),
+  });
+  const json = await res.json().catch(() => null);
+
+  if (!res.ok) {
+    throw new Error(`PostOffice city list failed: ${res.status}`);
+  }
+
+  const list = Array.isArray(json) ? json : (json?.data ?? json?.Data ?? []);
+  return list
+    .map((c) => ({
+      postOfficeId: c?.Id ?? c?.id ?? null,
+      label: String(c?.Label ?? c?.Name ?? c?.label ?? c?.name ?? "").trim(),
+    }))
+    .filter((c) => c.label);
+}
+
+// The catalog is PostOffice's and shared; any shop's account can read it
+export async function syncCityCatalog({
+  shop = legacyShop(),
+  countryIds = new Set(postOfficeCountries().values()),
+} = {}) {
+  const { postOffice } = await getShopConfig(shop);
+  const summary = { countries: 0, upserted: 0 };
+
+  for (const countryId of countryIds) {
+    const cities = await fetchPostOfficeCities(postOffice, countryId);
+
+    for (const c of cities) {
+      const normalized = normalizeCityName(c.label);
+      if (!normalized) continue;
+
+      await prisma.postOfficeCity.upsert({
+        where: { countryId_normalized: { countryId, normalized } },
+        create: {
+          countryId,
+          normalized,
+          label: c.label,
+          postOfficeId: c.postOfficeId === null ? null : String(c.postOfficeId),
+        },
+        update: {
+          label: c.label,
+          postOfficeId: c.postOfficeId === null ? null : String(c.postOfficeId),
+        },
+      });
+      summary.upserted++;
+    }
+
+    summary.countries++;
+  }
+
+  return summary;
+}
@@ -0,0 +1,59 @@
+/* ---------------- POSTOFFICE COUNTRIES ---------------- */
+
+// ISO code -> PostOffice CountryId, extended as PostOffice adds countries
+const DEFAULT_COUNTRIES = "XK=1,AL=2,MK=3";
+
+// Payloads without a country code sometimes carry the English name instead
+const COUNTRY_NAMES = {
+  KOSOVO: "XK",
+  ALBANIA: "AL",
+  "NORTH MACEDONIA": "MK",
+  MACEDONIA: "MK",
+  NM: "MK",
+  MONTENEGRO: "ME",
+  SERBIA: "RS",
+};
+
+// POSTOFFICE_COUNTRIES="XK=1,AL=2,MK=3"
+export function postOfficeCountries() {
+  const countries = new Map();
+
+  for (const entry of String(
+    process.env.POSTOFFICE_COUNTRIES || DEFAULT_COUNTRIES,
+  ).split(",")) {
+    const [code, id] = entry.split("=").map((s) => s?.trim());
+    const countryId = Number(id);
+
+    if (!code || !Number.isInteger(countryId) || countryId <= 0) {
+      if (entry.trim()) {
+        console.warn("Ignoring invalid POSTOFFICE_COUNTRIES entry", { entry });
+      }
+      continue;
+    }
+    countries.set(code.toUpperCase(), countryId);
+  }
+
+  return countries;
+}
+
+export function countryCodeFromShippingAddress(shippingAddress) {
+  const code = (
+    shippingAddress?.country_code ||
+    shippingAddress?.countryCodeV2 ||
+    shippingAddress?.country_code_v2 ||
+    shippingAddress?.country ||
+    ""
+  )
+    .toString()
+    .trim()
+    .toUpperCase();
+
+  return COUNTRY_NAMES[code] || code;
+}
+
+// Returns the PostOffice CountryId, or null when PostOffice does not ship
+// to the destination. Never guesses a default.
+export function countryIdFromShippingAddress(shippingAddress) {
+  const code = countryCodeFromShippingAddress(shippingAddress);
+  return postOfficeCountries().get(code) ?? null;
+}
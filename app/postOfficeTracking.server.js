@@ -0,0 +1,294 @@
+import prisma from "./db.server";
+import { SHIPMENT_STATUS } from "./postOffice.server";
+import {
+  postOfficeHeaders,
+  postOfficeUrl,
+  trackingUrlFor,
+} from "./postOfficeApi.server";
+import { getShopConfig } from "./shopConfig.server";
+import { shopifyGraphql, shopifyRest, tagOrder } from "./shopifyOrders.server";
+
+/* ---------------- POSTOFFICE TRACKING SYNC ---------------- */
+
+// PostOffice status text -> Shopify fulfillment event status, first match
+// wins. "Out for delivery", "Not delivered" and "Undelivered - returned"
+// all mention delivery, so "delivered" only matches once nothing else does.
+const EVENT_RULES = [
+  [/return|kthyer|kthim/i, "failure"],
+  [/out for delivery|në shpërndarje/i, "out_for_delivery"],
+  [
+    /attempt|tentativ|not delivered|undelivered|pa dorëzuar|padorëzuar/i,
+    "attempted_delivery",
+  ],
+  [/^delivered\b|dorëzuar/i, "delivered"],
+  [/transit|rrugë|dërguar|sent/i, "in_transit"],
+  [/picked|pranuar|marrë/i, "picked_up"],
+];
+
+// A group is only as far along as its slowest parcel
+const EVENT_ORDER = [
+  "picked_up",
+  "in_transit",
+  "out_for_delivery",
+  "attempted_delivery",
+  "delivered",
+];
+
+const FINAL_EVENTS = ["delivered", "failure"];
+
+const TRACKING_UPDATE = `#graphql
+  mutation TrackingUpdate(
+    $fulfillmentId: ID!
+    $trackingInfoInput: FulfillmentTrackingInput!
+  ) {
+    fulfillmentTrackingInfoUpdate(
+      fulfillmentId: $fulfillmentId
+      trackingInfoInput: $trackingInfoInput
+      notifyCustomer: true
+    ) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const FULFILLMENT_CREATE = `#graphql
+  mutation FulfillmentCreate($fulfillment: FulfillmentV2Input!) {
+    fulfillmentCreateV2(fulfillment: $fulfillment) {
+      fulfillment {
+        id
+        legacyResourceId
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+export function eventForStatus(status) {
+  const text = String(status || "").trim();
+  const rule = EVENT_RULES.find(([pattern]) => pattern.test(text));
+  return rule ? rule[1] : null;
+}
+
+export function groupEvent(parcels) {
+  const events = parcels.map((p) => p.fulfillmentEvent);
+  if (events.includes("failure")) return "failure";
+  if (events.some((e) => !e)) return null;
+
+  return events.reduce((slowest, e) =>
+    EVENT_ORDER.indexOf(e) < EVENT_ORDER.indexOf(slowest) ? e : slowest,
+  );
+}
+
+function statusPathFor(parcel) {
+  const template =
+    process.env.POSTOFFICE_STATUS_PATH || "/api/order/status/{barcode}";
+  return template
+    .replace("{barcode}", encodeURIComponent(parcel.barcode || ""))
+    .replace("{id}", encodeURIComponent(parcel.postOfficeId || ""));
+}
+
+async function fetchPostOfficeStatus(postOffice, parcel) {
+  const res = await fetch(postOfficeUrl(postOffice, statusPathFor(parcel)), {
+    headers: postOfficeHeaders(postOffice),
+  });
+  const json = await res.json().catch(() => null);
+
+  if (!res.ok) {
+    throw new Error(`PostOffice status failed: ${res.status}`);
+  }
+
+  const entry = Array.isArray(json) ? json[0] : (json?.data ?? json);
+  const status =
+    entry?.Status ?? entry?.status ?? entry?.StatusName ?? entry?.State;
+  const barcode = entry?.Barcode ?? entry?.barcode ?? null;
+
+  return {
+    status: status ? String(status) : null,
+    barcode: barcode ? String(barcode) : null,
+  };
+}
+
+async function syncParcel(postOffice, parcel) {
+  if (!parcel.barcode && !parcel.postOfficeId) return parcel;
+  if (FINAL_EVENTS.includes(parcel.fulfillmentEvent)) return parcel;
+
+  const { status, barcode } = await fetchPostOfficeStatus(postOffice, parcel);
+
+  const data = {};
+  if (barcode && !parcel.barcode) {
+    data.barcode = barcode;
+    data.trackingUrl = trackingUrlFor(barcode);
+  }
+  if (status) {
+    data.trackingStatus = status;
+    data.fulfillmentEvent = eventForStatus(status) ?? parcel.fulfillmentEvent;
+  }
+
+  if (!Object.keys(data).length) return parcel;
+  return prisma.shipmentParcel.update({ where: { id: parcel.id }, data });
+}
+
+async function findFulfillment(shop, orderId) {
+  const res = await shopifyRest(shop, `/orders/${orderId}/fulfillments.json`);
+  return (res?.fulfillments || []).find((f) => f?.status === "success") || null;
+}
+
+function trackingInfo(parcels) {
+  const tracked = parcels.filter((p) => p.barcode);
+  return {
+    company: process.env.POSTOFFICE_CARRIER_NAME || "PostOffice",
+    numbers: tracked.map((p) => p.barcode),
+    urls: tracked.map((p) => p.trackingUrl).filter(Boolean),
+  };
+}
+
+function throwUserErrors(errors) {
+  if (errors?.length) {
+    throw new Error(errors.map((e) => e.message).join("; "));
+  }
+}
+
+// Parcels booked straight from a Procard payment have no fulfillment in
+// Shopify; the booking becomes one once PostOffice has issued barcodes.
+async function createFulfillment(shop, orderId, parcels) {
+  const res = await shopifyRest(
+    shop,
+    `/orders/${orderId}/fulfillment_orders.json`,
+  );
+  const open = (res?.fulfillment_orders || []).filter((fo) =>
+    ["open", "in_progress"].includes(fo?.status),
+  );
+  if (!open.length) return null;
+
+  const data = await shopifyGraphql(shop, FULFILLMENT_CREATE, {
+    fulfillment: {
+      lineItemsByFulfillmentOrder: open.map((fo) => ({
+        fulfillmentOrderId: `gid://shopify/FulfillmentOrder/${fo.id}`,
+      })),
+      trackingInfo: trackingInfo(parcels),
+      notifyCustomer: true,
+    },
+  });
+  throwUserErrors(data?.fulfillmentCreateV2?.userErrors);
+
+  const created = data?.fulfillmentCreateV2?.fulfillment;
+  return created
+    ? { id: created.legacyResourceId, admin_graphql_api_id: created.id }
+    : null;
+}
+
+async function pushTracking(shop, fulfillment, parcels) {
+  const data = await shopifyGraphql(shop, TRACKING_UPDATE, {
+    fulfillmentId: fulfillment.admin_graphql_api_id,
+    trackingInfoInput: trackingInfo(parcels),
+  });
+  throwUserErrors(data?.fulfillmentTrackingInfoUpdate?.userErrors);
+}
+
+async function pushEvent(shop, orderId, fulfillment, event) {
+  await shopifyRest(
+    shop,
+    `/orders/${orderId}/fulfillments/${fulfillment.id}/events.json`,
+    { method: "POST", body: { event: { status: event } } },
+  );
+}
+
+async function syncShipment(shipment) {
+  const { shop } = shipment;
+  const { postOffice } = await getShopConfig(shop);
+
+  const parcels = [];
+  for (const parcel of shipment.parcels) {
+    parcels.push(await syncParcel(postOffice, parcel));
+  }
+
+  const learnedBarcode = parcels.some(
+    (p, i) => p.barcode && !shipment.parcels[i].barcode,
+  );
+  const event = groupEvent(parcels);
+
+  const data = {
+    trackingSyncedAt: new Date(),
+    trackingStatus:
+      parcels
+        .map((p) => p.trackingStatus)
+        .filter(Boolean)
+        .join(" / ") || shipment.trackingStatus,
+  };
+
+  // Tracking and events attach to the order's fulfillment. Orders fulfilled
+  // by staff have one; bookings made on payment get one created here.
+  const hasBarcode = parcels.some((p) => p.barcode);
+  let fulfillment = await findFulfillment(shop, shipment.orderId);
+  let trackingCurrent = shipment.trackingPushed && !learnedBarcode;
+
+  if (!fulfillment && hasBarcode && shipment.source === "procard_callback") {
+    fulfillment = await createFulfillment(shop, shipment.orderId, parcels);
+    if (fulfillment) {
+      trackingCurrent = true;
+      data.trackingPushed = true;
+    }
+  }
+
+  if (fulfillment) {
+    if (hasBarcode && !trackingCurrent) {
+      await pushTracking(shop, fulfillment, parcels);
+      data.trackingPushed = true;
+    }
+
+    if (event && event !== shipment.fulfillmentEvent) {
+      await pushEvent(shop, shipment.orderId, fulfillment, event);
+      data.fulfillmentEvent = event;
+
+      if (event === "failure") {
+        await tagOrder(shop, Number(shipment.orderId), ["postoffice_returned"]);
+      }
+    }
+  }
+
+  await prisma.shipment.update({ where: { id: shipment.id }, data });
+  return { changed: Boolean(data.fulfillmentEvent || data.trackingPushed) };
+}
+
+export async function runTrackingSync() {
+  const summary = { checked: 0, updated: 0, errors: 0 };
+
+  const shipments = await prisma.shipment.findMany({
+    where: {
+      status: SHIPMENT_STATUS.SUBMITTED,
+      parcels: {
+        some: {
+          OR: [{ barcode: { not: null } }, { postOfficeId: { not: null } }],
+        },
+      },
+      OR: [
+        { fulfillmentEvent: null },
+        { fulfillmentEvent: { notIn: FINAL_EVENTS } },
+      ],
+    },
+    include: { parcels: { orderBy: { position: "asc" } } },
+    orderBy: { trackingSyncedAt: { sort: "asc", nulls: "first" } },
+    take: Number(process.env.POSTOFFICE_TRACKING_BATCH || 50),
+  });
+
+  for (const shipment of shipments) {
+    summary.checked++;
+
+    try {
+      const { changed } = await syncShipment(shipment);
+      if (changed) summary.updated++;
+    } catch (e) {
+      summary.errors++;
+      console.error("PostOffice tracking sync failed", {
+        orderId: shipment.orderId,
+        error: String(e),
+      });
+    }
+  }
+
+  return summary;
+}
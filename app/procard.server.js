@@ -0,0 +1,145 @@
+import crypto from "crypto";
+
+/* ---------------- PROCARD SIGNING ---------------- */
+
+// Gateway name on the Shopify transactions recorded for Procard payments
+export const PROCARD_GATEWAY = "Procard";
+
+export function normalizeAmount(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return "0";
+  return n.toString();
+}
+
+// `procard` is the shop's Procard config from getShopConfig
+function hmac(procard, toSign) {
+  const secret = procard?.secret;
+  if (!secret) throw new Error("Missing PROCARD_SECRET");
+
+  return crypto
+    .createHmac("sha512", secret)
+    .update(toSign, "utf8")
+    .digest("hex");
+}
+
+export function makeRequestSignature(
+  procard,
+  { merchant_id, order_id, amount, currency_iso, description },
+) {
+  const amt = normalizeAmount(amount);
+  return hmac(
+    procard,
+    `${merchant_id};${order_id};${amt};${currency_iso};${description}`,
+  );
+}
+
+export function verifyCallbackSignature(procard, body) {
+  const merchant_id = String(body?.merchantAccount || "");
+  const orderReference = String(body?.orderReference || "");
+  const amount = normalizeAmount(body?.amount);
+  const currency = String(body?.currency || "");
+  const merchantSignature = String(body?.merchantSignature || "");
+
+  if (!merchant_id || !orderReference || !currency || !merchantSignature)
+    return false;
+
+  const expected = hmac(
+    procard,
+    `${merchant_id};${orderReference};${amount};${currency}`,
+  );
+  return expected === merchantSignature;
+}
+
+/* ---------------- REFUND ---------------- */
+
+export async function requestRefund(
+  procard,
+  { orderReference, amount, currency, description },
+) {
+  const refundUrl = procard?.refundUrl;
+  const merchant_id = procard?.merchantId;
+
+  if (!refundUrl || !merchant_id) {
+    throw new Error("Missing PROCARD_REFUND_URL / PROCARD_MERCHANT_ID");
+  }
+
+  const reqBody = {
+    operation: "Refund",
+    merchant_id,
+    order_id: orderReference,
+    amount: Number(normalizeAmount(amount)),
+    currency_iso: currency,
+    description,
+  };
+
+  reqBody.signature = makeRequestSignature(procard, {
+    merchant_id: reqBody.merchant_id,
+    order_id: reqBody.order_id,
+    amount: reqBody.amount,
+    currency_iso: reqBody.currency_iso,
+    description: reqBody.description,
+  });
+
+  const res = await fetch(refundUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(reqBody),
+  });
+
+  const json = await res.json().catch(() => null);
+  console.log("PROCARD REFUND RESPONSE:", json);
+
+  return { ok: res.ok && json?.result === 0, status: res.status, json };
+}
+
+/* ---------------- CONNECTION TEST ---------------- */
+
+// Procard has no ping, and a validly signed Purchase registers a payment.
+// This Purchase is signed with a throwaway key, so Procard always refuses
+// it; why it refuses tells a known merchant (bad signature) from an unknown
+// one. The secret itself is only proven by the first real link.
+export async function testProcardConnection(procard, currency) {
+  if (!procard?.dispatcherUrl || !procard?.merchantId) {
+    return { ok: false, error: "Merchant ID and dispatcher URL are required" };
+  }
+
+  const reqBody = {
+    operation: "Purchase",
+    merchant_id: procard.merchantId,
+    order_id: `connection-test-${Date.now().toString(36)}`,
+    amount: 1,
+    currency_iso: currency,
+    description: "Connection test",
+  };
+  reqBody.signature = makeRequestSignature(
+    { secret: crypto.randomBytes(32).toString("hex") },
+    reqBody,
+  );
+
+  const res = await fetch(procard.dispatcherUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(reqBody),
+  });
+  const json = await res.json().catch(() => null);
+  const message = String(json?.message || "");
+
+  if (!res.ok)
+    return { ok: false, error: `Procard answered HTTP ${res.status}` };
+  if (json?.result === 0) {
+    return { ok: false, error: "Procard accepted a wrongly signed request" };
+  }
+  if (/merchant/i.test(message)) {
+    return {
+      ok: false,
+      error: `Procard does not know this merchant: ${message}`,
+    };
+  }
+  if (/signature/i.test(message)) {
+    return {
+      ok: true,
+      note: "Procard knows the merchant; the secret is confirmed by the first payment.",
+    };
+  }
+  return { ok: false, error: message || "Unexpected answer from Procard" };
+}
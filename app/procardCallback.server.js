@@ -0,0 +1,345 @@
+import { enqueue, kickOutbox } from "./outbox.server";
+import { sendPaymentRetryEmail } from "./paymentEmail.server";
+import { getOrderTotal } from "./paymentLinks.server";
+import { PROCARD_GATEWAY, normalizeAmount } from "./procard.server";
+import {
+  PAYMENT_STATUS,
+  callbackTransactionId,
+  canTransition,
+  markPaymentMismatch,
+  markPaymentPaid,
+  recordCallback,
+  statusForCallback,
+  transitionPayment,
+} from "./procardPayments.server";
+import {
+  findProcardReference,
+  orderIdFromGid,
+} from "./procardReferences.server";
+import { appConfig } from "./shopConfig.server";
+import {
+  appendOrderNote,
+  shopifyRest,
+  splitTags,
+  tagOrder,
+} from "./shopifyOrders.server";
+
+/* ---------------- PROCARD CALLBACK ---------------- */
+
+// Links from before the ledger may carry the order number ("#1013")
+async function findOrderByOrderNumber(shop, orderNumber) {
+  const search = await shopifyRest(
+    shop,
+    `/orders.json?status=any&limit=1&fields=id,name,tags,financial_status&name=${encodeURIComponent("#" + orderNumber)}`,
+  ).catch(() => null);
+
+  return search?.orders?.[0] || null;
+}
+
+async function fetchOrder(shop, orderId) {
+  const res = await shopifyRest(
+    shop,
+    `/orders/${orderId}.json?fields=id,name,tags,financial_status`,
+  ).catch(() => null);
+  return res?.order || null;
+}
+
+// The reference mapping points at the order. References sent before it
+// existed are in the ledger, or were the bare order id or order number.
+async function findOrderForCallback(shop, payment, orderRef) {
+  const mapping = await findProcardReference(orderRef);
+  if (mapping) return fetchOrder(shop, orderIdFromGid(mapping.orderGid));
+
+  if (payment?.orderId) return fetchOrder(shop, payment.orderId);
+
+  if (/^\d+$/.test(orderRef)) {
+    const order = await fetchOrder(shop, orderRef);
+    if (order) return order;
+  }
+  return findOrderByOrderNumber(shop, orderRef);
+}
+
+/* ---- Shopify payment transaction ---- */
+
+function amountsMatch(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 0.005;
+}
+
+// The ledger knows what Procard was asked to charge; links created before
+// it existed were always for the order total in shop currency.
+function checkPaidAmount(order, body, payment) {
+  const expectedAmount = payment
+    ? Number(payment.amount)
+    : getOrderTotal(order);
+  const expectedCurrency = String(
+    payment?.currency || order?.currency || "",
+  ).toUpperCase();
+  const paidAmount = Number(body?.amount);
+  const paidCurrency = String(body?.currency || "").toUpperCase();
+
+  if (
+    !amountsMatch(paidAmount, expectedAmount) ||
+    paidCurrency !== expectedCurrency
+  ) {
+    return `Procard paid ${paidAmount} ${paidCurrency}, expected ${expectedAmount} ${expectedCurrency}`;
+  }
+  return null;
+}
+
+// Records the Procard payment as a successful capture so financial_status
+// becomes "paid"; the Procard transaction ID is kept as the authorization.
+// The capture is in the order's currency, even when Procard charged another.
+async function recordProcardTransaction(shop, order, body, payment) {
+  if (order?.financial_status === "paid") return;
+
+  const transactionId = callbackTransactionId(body);
+  const existing = await shopifyRest(
+    shop,
+    `/orders/${order.id}/transactions.json`,
+  );
+  const transactions = existing?.transactions || [];
+
+  const alreadyRecorded = transactions.some(
+    (t) =>
+      t?.status === "success" &&
+      t?.gateway === PROCARD_GATEWAY &&
+      (!transactionId || t?.authorization === transactionId),
+  );
+  if (alreadyRecorded) return;
+
+  const parent = transactions.find(
+    (t) =>
+      ["authorization", "sale"].includes(t?.kind) && t?.status === "pending",
+  );
+
+  await shopifyRest(shop, `/orders/${order.id}/transactions.json`, {
+    method: "POST",
+    body: {
+      transaction: {
+        kind: "capture",
+        status: "success",
+        source: "external",
+        gateway: PROCARD_GATEWAY,
+        amount: normalizeAmount(payment?.orderAmount ?? body?.amount),
+        currency: String(
+          payment?.orderCurrency || body?.currency || order.currency || "",
+        ),
+        authorization: transactionId || undefined,
+        parent_id: parent?.id,
+      },
+    },
+  });
+
+  console.log("Recorded Procard transaction on order", {
+    orderId: order.id,
+    transactionId,
+  });
+}
+
+/* ---- Callback state machine ---- */
+
+const CALLBACK_OUTCOMES = {
+  [PAYMENT_STATUS.PAID]: {
+    addTags: ["paid_procard"],
+    removeTags: ["procard_pending", "procard_declined", "procard_expired"],
+    sendToPostOffice: true,
+  },
+  [PAYMENT_STATUS.AMOUNT_MISMATCH]: {
+    addTags: ["procard_amount_mismatch"],
+    removeTags: ["procard_pending"],
+    note: "Procard payment amount mismatch",
+  },
+  [PAYMENT_STATUS.PENDING]: {
+    addTags: ["procard_pending"],
+  },
+  [PAYMENT_STATUS.DECLINED]: {
+    addTags: ["procard_declined"],
+    removeTags: ["procard_pending"],
+    note: "Procard payment declined",
+    retryEmail: true,
+  },
+  [PAYMENT_STATUS.EXPIRED]: {
+    addTags: ["procard_expired"],
+    removeTags: ["procard_pending"],
+    note: "Procard payment expired",
+    retryEmail: true,
+  },
+  [PAYMENT_STATUS.REFUNDED]: {
+    addTags: ["procard_refunded"],
+    removeTags: ["paid_procard"],
+    note: "Procard payment refunded",
+  },
+  [PAYMENT_STATUS.VOIDED]: {
+    addTags: ["procard_voided"],
+    removeTags: ["paid_procard"],
+    note: "Procard payment voided",
+  },
+};
+
+function callbackNote(label, body) {
+  const reason = [body?.reason, body?.reasonCode && `code ${body.reasonCode}`]
+    .filter(Boolean)
+    .join(", ");
+  return `${label}${reason ? `: ${reason}` : ""} (${new Date().toISOString()})`;
+}
+
+async function sendRetryEmail(shop, orderIdNumeric, payment) {
+  if (!appConfig().procard.retryEmailEnabled) return;
+
+  try {
+    const full = await shopifyRest(shop, `/orders/${orderIdNumeric}.json`);
+    const order = full?.order;
+    const paymentUrl =
+      payment?.paymentUrl ||
+      (order?.note_attributes || []).find(
+        (a) => a?.name === "procard_payment_url",
+      )?.value;
+
+    if (!paymentUrl) {
+      console.warn("No payment link to resend", { orderId: orderIdNumeric });
+      return;
+    }
+
+    await sendPaymentRetryEmail(shop, order?.email, paymentUrl, orderIdNumeric);
+  } catch (e) {
+    console.error("sendPaymentRetryEmail failed (non-fatal):", e);
+  }
+}
+
+// Acknowledged so Procard stops retrying, but never applied. Money taken on
+// an outdated link is flagged for staff to refund.
+async function rejectInvalidatedCallback(shop, order, payment, nextStatus) {
+  console.error("Rejecting Procard callback on invalidated reference", {
+    orderRef: payment.orderReference,
+    orderId: order.id,
+    status: nextStatus,
+  });
+
+  if (nextStatus === PAYMENT_STATUS.PAID) {
+    await tagOrder(shop, Number(order.id), ["procard_outdated_link_paid"]);
+    await appendOrderNote(
+      shop,
+      Number(order.id),
+      `Procard payment received on outdated link ${payment.orderReference} (${payment.lastError || "order changed"}); refund it in Procard (${new Date().toISOString()})`,
+    );
+  }
+
+  return new Response("Reference invalidated", { status: 200 });
+}
+
+export const PROCARD_CALLBACK_TOPIC = "PROCARD_CALLBACK";
+
+// Runs a verified callback; `shop` is resolved from the reference, the
+// ledger or the merchant account before the signature check.
+export async function handleProcardCallback({ shop, payload: body }) {
+  const status = String(body?.transactionStatus || "");
+  const orderRef = String(body?.orderReference || "");
+
+  try {
+    const payment = await recordCallback(body);
+
+    let nextStatus = statusForCallback(status);
+    if (!nextStatus) {
+      console.warn("Unhandled Procard transactionStatus", { status, orderRef });
+      return new Response("OK", { status: 200 });
+    }
+
+    const order = await findOrderForCallback(shop, payment, orderRef);
+    if (!order?.id) return new Response("Order not found", { status: 404 });
+
+    // The order was edited or cancelled after this link was sent
+    if (payment?.status === PAYMENT_STATUS.INVALIDATED) {
+      return rejectInvalidatedCallback(shop, order, payment, nextStatus);
+    }
+
+    // Callbacks for links created before the ledger existed fall back to tags
+    const currentStatus =
+      payment?.status ??
+      (splitTags(order.tags).includes("paid_procard")
+        ? PAYMENT_STATUS.PAID
+        : PAYMENT_STATUS.LINK_SENT);
+
+    const orderIdNumeric = Number(order.id);
+
+    // Only a verified amount/currency may mark the order paid
+    let fullOrder = null;
+    let mismatch = null;
+    if (nextStatus === PAYMENT_STATUS.PAID) {
+      const full = await shopifyRest(shop, `/orders/${order.id}.json`);
+      fullOrder = full?.order;
+      if (!fullOrder) return new Response("Order not found", { status: 404 });
+
+      mismatch = checkPaidAmount(fullOrder, body, payment);
+      if (mismatch) {
+        console.error("Procard amount mismatch", { orderRef, mismatch });
+        nextStatus = PAYMENT_STATUS.AMOUNT_MISMATCH;
+      }
+    }
+
+    // Procard retries callbacks; a replay re-runs only the idempotent steps
+    const isReplay = currentStatus === nextStatus;
+    if (!isReplay && !canTransition(currentStatus, nextStatus)) {
+      console.warn("Ignoring Procard callback: transition not allowed", {
+        orderRef,
+        from: currentStatus,
+        to: nextStatus,
+      });
+      return new Response("OK", { status: 200 });
+    }
+
+    const outcome = CALLBACK_OUTCOMES[nextStatus];
+
+    const tags = await tagOrder(
+      shop,
+      orderIdNumeric,
+      outcome.addTags,
+      outcome.removeTags,
+    );
+
+    if (outcome.note && !isReplay) {
+      const label = mismatch ? `${outcome.note}: ${mismatch}` : outcome.note;
+      await appendOrderNote(shop, orderIdNumeric, callbackNote(label, body));
+    }
+
+    if (nextStatus === PAYMENT_STATUS.PAID) {
+      await recordProcardTransaction(shop, fullOrder, body, payment);
+    }
+
+    if (outcome.retryEmail && !isReplay) {
+      await sendRetryEmail(shop, orderIdNumeric, payment);
+    }
+
+    if (outcome.sendToPostOffice && !tags.includes("sent_to_postoffice")) {
+      const job = await enqueue({
+        shop,
+        orderId: orderIdNumeric,
+        kind: "postoffice_insert",
+        payload: {
+          // fullOrder predates the paid_procard tag added above
+          order: { ...fullOrder, tags: tags.join(", ") },
+          source: "procard_callback",
+          exchangeable: true,
+          tagSent: true,
+        },
+        dedupeKey: `postoffice_insert:${shop}:${orderIdNumeric}:procard_callback`,
+      });
+      kickOutbox([job]);
+    }
+
+    // Ledger moves last so a failed step above is retried with the callback
+    if (payment && !isReplay) {
+      if (nextStatus === PAYMENT_STATUS.PAID) {
+        await markPaymentPaid(payment, body);
+      } else if (nextStatus === PAYMENT_STATUS.AMOUNT_MISMATCH) {
+        await markPaymentMismatch(payment, body, mismatch);
+      } else {
+        await transitionPayment(payment, nextStatus);
+      }
+    }
+
+    return new Response("OK", { status: 200 });
+  } catch (e) {
+    console.error("Callback processing failed", e);
+    return new Response("Callback failed", { status: 502 });
+  }
+}
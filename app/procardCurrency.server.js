@@ -0,0 +1,115 @@
+/* ---------------- PROCARD CURRENCIES ---------------- */
+
+function roundAmount(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// PROCARD_CURRENCIES="EUR,ALL"; the first one is what we convert into
+export function procardCurrencies() {
+  const list = String(process.env.PROCARD_CURRENCIES || "EUR")
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
+  return list.length ? list : ["EUR"];
+}
+
+// PROCARD_EXCHANGE_RATES="ALL:EUR=0.0098,MKD:EUR=0.0162"
+function exchangeRate(from, to) {
+  for (const entry of String(process.env.PROCARD_EXCHANGE_RATES || "").split(
+    ",",
+  )) {
+    const [pair, value] = entry.split("=").map((s) => s?.trim());
+    const [src, dst] = String(pair || "")
+      .toUpperCase()
+      .split(":");
+    const rate = Number(value);
+
+    if (src === from && dst === to && rate > 0) return rate;
+  }
+  return null;
+}
+
+function moneyAmount(set, key) {
+  const n = Number(set?.[key]?.amount);
+  return Number.isFinite(n) ? n : null;
+}
+
+// The order total in the currency the customer saw, and in shop currency
+function orderTotals(order) {
+  const set = order?.current_total_price_set || order?.total_price_set;
+  const shopAmount =
+    moneyAmount(set, "shop_money") ??
+    Number(order?.current_total_price ?? order?.total_price ?? 0);
+  const shopCurrency = String(
+    set?.shop_money?.currency_code || order?.currency || "",
+  ).toUpperCase();
+
+  return {
+    presentmentAmount: moneyAmount(set, "presentment_money") ?? shopAmount,
+    presentmentCurrency: String(
+      set?.presentment_money?.currency_code ||
+        order?.presentment_currency ||
+        shopCurrency,
+    ).toUpperCase(),
+    shopAmount,
+    shopCurrency,
+  };
+}
+
+// What Procard should charge for the order. Prefers the customer's
+// currency, then the shop currency, and otherwise converts the customer's
+// amount with a configured rate. orderAmount/orderCurrency is what Shopify
+// expects to see paid.
+export function procardChargeFor(order) {
+  const supported = procardCurrencies();
+  const totals = orderTotals(order);
+  const base = {
+    orderAmount: totals.presentmentAmount,
+    orderCurrency: totals.presentmentCurrency,
+  };
+
+  if (supported.includes(totals.presentmentCurrency)) {
+    return {
+      ...base,
+      amount: totals.presentmentAmount,
+      currency: totals.presentmentCurrency,
+      exchangeRate: null,
+    };
+  }
+
+  if (supported.includes(totals.shopCurrency)) {
+    return {
+      ...base,
+      amount: totals.shopAmount,
+      currency: totals.shopCurrency,
+      exchangeRate: totals.presentmentAmount
+        ? totals.shopAmount / totals.presentmentAmount
+        : null,
+    };
+  }
+
+  const target = supported[0];
+  const rate = exchangeRate(totals.presentmentCurrency, target);
+  if (!rate) {
+    throw new Error(
+      `No Procard exchange rate for ${totals.presentmentCurrency} → ${target}`,
+    );
+  }
+
+  return {
+    ...base,
+    amount: roundAmount(totals.presentmentAmount * rate),
+    currency: target,
+    exchangeRate: rate,
+  };
+}
+
+// Converts an amount in the order's currency (e.g. a Shopify refund) into
+// what was charged on Procard, using the ratio recorded on the payment.
+export function toProcardAmount(payment, orderAmount) {
+  if (!payment.orderAmount || payment.orderCurrency === payment.currency) {
+    return roundAmount(orderAmount);
+  }
+  const ratio = Number(payment.amount) / Number(payment.orderAmount);
+  return roundAmount(orderAmount * ratio);
+}
@@ -0,0 +1,420 @@
+import prisma from "./db.server";
+
+/* ---------------- PROCARD PAYMENT LEDGER ---------------- */
+
+export const PAYMENT_STATUS = {
+  LINK_REQUESTED: "link_requested",
+  LINK_SENT: "link_sent",
+  LINK_FAILED: "link_failed",
+  PENDING: "pending",
+  PAID: "paid",
+  AMOUNT_MISMATCH: "amount_mismatch",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+  VOIDED: "voided",
+  SUPERSEDED: "superseded",
+  // The order was edited; the link charges an outdated total
+  INVALIDATED: "invalidated",
+};
+
+// Procard transactionStatus -> ledger status
+const CALLBACK_STATUS = {
+  Approved: PAYMENT_STATUS.PAID,
+  Pending: PAYMENT_STATUS.PENDING,
+  InProcessing: PAYMENT_STATUS.PENDING,
+  WaitingAuthComplete: PAYMENT_STATUS.PENDING,
+  Declined: PAYMENT_STATUS.DECLINED,
+  Expired: PAYMENT_STATUS.EXPIRED,
+  Refunded: PAYMENT_STATUS.REFUNDED,
+  Voided: PAYMENT_STATUS.VOIDED,
+};
+
+const UNPAID = [
+  PAYMENT_STATUS.LINK_REQUESTED,
+  PAYMENT_STATUS.LINK_SENT,
+  PAYMENT_STATUS.LINK_FAILED,
+  PAYMENT_STATUS.PENDING,
+  PAYMENT_STATUS.DECLINED,
+  PAYMENT_STATUS.EXPIRED,
+];
+
+// A declined retry after a successful payment must not un-pay the order,
+// and nothing moves a refunded/voided payment back.
+const ALLOWED_TRANSITIONS = {
+  ...Object.fromEntries(
+    UNPAID.map((s) => [
+      s,
+      [
+        PAYMENT_STATUS.PENDING,
+        PAYMENT_STATUS.PAID,
+        PAYMENT_STATUS.AMOUNT_MISMATCH,
+        PAYMENT_STATUS.DECLINED,
+        PAYMENT_STATUS.EXPIRED,
+        PAYMENT_STATUS.SUPERSEDED,
+        PAYMENT_STATUS.INVALIDATED,
+      ],
+    ]),
+  ),
+  // A customer may still pay an older link after a new one was sent
+  [PAYMENT_STATUS.SUPERSEDED]: [
+    PAYMENT_STATUS.PAID,
+    PAYMENT_STATUS.AMOUNT_MISMATCH,
+    PAYMENT_STATUS.INVALIDATED,
+  ],
+  [PAYMENT_STATUS.PAID]: [
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+    PAYMENT_STATUS.VOIDED,
+  ],
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: [
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+  ],
+  // Money was taken but didn't match the order; only Procard can settle it
+  [PAYMENT_STATUS.AMOUNT_MISMATCH]: [
+    PAYMENT_STATUS.REFUNDED,
+    PAYMENT_STATUS.VOIDED,
+  ],
+  [PAYMENT_STATUS.REFUNDED]: [],
+  [PAYMENT_STATUS.VOIDED]: [],
+  [PAYMENT_STATUS.INVALIDATED]: [],
+};
+
+export function statusForCallback(transactionStatus) {
+  return CALLBACK_STATUS[String(transactionStatus || "")] || null;
+}
+
+export function canTransition(fromStatus, toStatus) {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function toAmountOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Prisma Json columns reject undefined values nested in objects
+function toJson(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+export async function findPaymentByReference(orderReference) {
+  if (!orderReference) return null;
+  return prisma.procardPayment.findUnique({
+    where: { orderReference: String(orderReference) },
+  });
+}
+
+export async function recordDispatcherRequest({
+  shop,
+  orderId,
+  orderName,
+  orderReference,
+  amount,
+  currency,
+  orderAmount,
+  orderCurrency,
+  exchangeRate,
+  request,
+}) {
+  const data = {
+    shop: shop || null,
+    orderId: String(orderId),
+    orderName: orderName ? String(orderName) : null,
+    amount: toAmountOrNull(amount) ?? 0,
+    currency,
+    orderAmount: toAmountOrNull(orderAmount),
+    orderCurrency: orderCurrency || null,
+    exchangeRate: exchangeRate ?? null,
+    status: PAYMENT_STATUS.LINK_REQUESTED,
+    dispatcherRequest: toJson(request),
+    lastError: null,
+  };
+
+  const payment = await prisma.procardPayment.upsert({
+    where: { orderReference: String(orderReference) },
+    create: { orderReference: String(orderReference), ...data },
+    update: data,
+  });
+
+  await prisma.procardPaymentEvent.create({
+    data: {
+      paymentId: payment.id,
+      orderReference: payment.orderReference,
+      type: "dispatcher_request",
+      toStatus: PAYMENT_STATUS.LINK_REQUESTED,
+      amount: data.amount,
+      currency,
+      payload: data.dispatcherRequest,
+    },
+  });
+
+  return payment;
+}
+
+export async function recordDispatcherResponse(
+  payment,
+  { status, response, paymentUrl, error },
+) {
+  const ok = Boolean(paymentUrl) && !error;
+  const toStatus = ok ? PAYMENT_STATUS.LINK_SENT : PAYMENT_STATUS.LINK_FAILED;
+
+  await prisma.procardPaymentEvent.create({
+    data: {
+      paymentId: payment.id,
+      orderReference: payment.orderReference,
+      type: "dispatcher_response",
+      payload: toJson({ httpStatus: status, response, error }),
+    },
+  });
+
+  return transitionPayment(payment, toStatus, {
+    paymentUrl: paymentUrl || payment.paymentUrl,
+    dispatcherResponse: toJson(response),
+    lastError: ok ? null : String(error || "Dispatcher rejected"),
+  });
+}
+
+// Every callback is stored, even for references the ledger doesn't know yet
+export async function recordCallback(body) {
+  const orderReference = String(body?.orderReference || "");
+  const payment = await findPaymentByReference(orderReference);
+
+  await prisma.procardPaymentEvent.create({
+    data: {
+      paymentId: payment?.id || null,
+      orderReference,
+      type: "callback",
+      transactionStatus: String(body?.transactionStatus || "") || null,
+      amount: toAmountOrNull(body?.amount),
+      currency: body?.currency ? String(body.currency) : null,
+      payload: toJson(body),
+    },
+  });
+
+  return payment;
+}
+
+export async function transitionPayment(payment, toStatus, data = {}) {
+  const fromStatus = payment.status;
+
+  const updated = await prisma.procardPayment.update({
+    where: { id: payment.id },
+    data: { ...data, status: toStatus },
+  });
+
+  if (fromStatus !== toStatus) {
+    await prisma.procardPaymentEvent.create({
+      data: {
+        paymentId: payment.id,
+        orderReference: payment.orderReference,
+        type: "transition",
+        fromStatus,
+        toStatus,
+      },
+    });
+  }
+
+  return updated;
+}
+
+export function callbackTransactionId(body) {
+  const id = body?.transactionId ?? body?.transaction_id ?? body?.authCode;
+  return id ? String(id) : null;
+}
+
+export async function markPaymentPaid(payment, body) {
+  return transitionPayment(payment, PAYMENT_STATUS.PAID, {
+    transactionId: callbackTransactionId(body),
+    paidAmount: toAmountOrNull(body?.amount),
+    paidCurrency: body?.currency ? String(body.currency) : null,
+    paidAt: new Date(),
+    lastError: null,
+  });
+}
+
+export async function markPaymentMismatch(payment, body, error) {
+  return transitionPayment(payment, PAYMENT_STATUS.AMOUNT_MISMATCH, {
+    transactionId: callbackTransactionId(body),
+    paidAmount: toAmountOrNull(body?.amount),
+    paidCurrency: body?.currency ? String(body.currency) : null,
+    lastError: error,
+  });
+}
+
+export async function supersedeOpenPayments(orderId, keepPaymentId) {
+  const open = await prisma.procardPayment.findMany({
+    where: {
+      orderId: String(orderId),
+      id: { not: keepPaymentId },
+      status: { in: UNPAID },
+    },
+  });
+
+  for (const payment of open) {
+    await transitionPayment(payment, PAYMENT_STATUS.SUPERSEDED);
+  }
+}
+
+// Every link of the order that could still be paid, newest first
+export async function listOpenPayments(orderId) {
+  return prisma.procardPayment.findMany({
+    where: {
+      orderId: String(orderId),
+      status: { in: [...UNPAID, PAYMENT_STATUS.SUPERSEDED] },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+export async function invalidateOpenPayments(orderId, reason) {
+  return invalidatePayments(await listOpenPayments(orderId), reason);
+}
+
+// Unlike superseded links, invalidated ones may no longer be paid. Each
+// payment is claimed on its current status, so concurrent calls invalidate
+// it once; returns the payments this call invalidated.
+export async function invalidatePayments(payments, reason) {
+  const invalidated = [];
+  for (const payment of payments) {
+    const { count } = await prisma.procardPayment.updateMany({
+      where: { id: payment.id, status: payment.status },
+      data: { status: PAYMENT_STATUS.INVALIDATED, lastError: reason },
+    });
+    if (!count) continue;
+
+    await prisma.procardPaymentEvent.create({
+      data: {
+        paymentId: payment.id,
+        orderReference: payment.orderReference,
+        type: "transition",
+        fromStatus: payment.status,
+        toStatus: PAYMENT_STATUS.INVALIDATED,
+      },
+    });
+    invalidated.push(payment);
+  }
+
+  return invalidated;
+}
+
+/* ---------------- REFUNDS ---------------- */
+
+export async function findRefundablePayment(orderId) {
+  return prisma.procardPayment.findFirst({
+    where: {
+      orderId: String(orderId),
+      status: {
+        in: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED],
+      },
+    },
+    orderBy: { paidAt: "desc" },
+  });
+}
+
+export function remainingRefundable(payment) {
+  const paid = Number(payment.paidAmount ?? payment.amount);
+  return Math.max(0, paid - Number(payment.refundedAmount || 0));
+}
+
+// Shopify retries refunds/create, so each Shopify refund is refunded once
+export async function hasRefundBeenProcessed(payment, shopifyRefundId) {
+  const event = await prisma.procardPaymentEvent.findFirst({
+    where: {
+      paymentId: payment.id,
+      type: "refund",
+      payload: { path: ["shopifyRefundId"], equals: String(shopifyRefundId) },
+    },
+  });
+  return Boolean(event);
+}
+
+export async function recordRefund(
+  payment,
+  { shopifyRefundId, amount, currency, ok, response, error },
+) {
+  await prisma.procardPaymentEvent.create({
+    data: {
+      paymentId: payment.id,
+      orderReference: payment.orderReference,
+      type: ok ? "refund" : "refund_failed",
+      amount: toAmountOrNull(amount),
+      currency,
+      payload: toJson({
+        shopifyRefundId: String(shopifyRefundId),
+        response,
+        error,
+      }),
+    },
+  });
+
+  if (!ok) {
+    return prisma.procardPayment.update({
+      where: { id: payment.id },
+      data: { lastError: String(error || "Procard refund failed") },
+    });
+  }
+
+  const refundedAmount = Number(payment.refundedAmount || 0) + Number(amount);
+  const fullyRefunded =
+    remainingRefundable({ ...payment, refundedAmount }) < 0.005;
+
+  return transitionPayment(
+    payment,
+    fullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    { refundedAmount, lastError: null },
+  );
+}
+
+/* ---------------- DASHBOARD ---------------- */
+
+// Latest payment per order, with its most recent callback
+export async function listRecentPayments({ shop, query, status, take = 50 }) {
+  const q = String(query || "")
+    .trim()
+    .replace(/^#/, "");
+
+  const payments = await prisma.procardPayment.findMany({
+    where: {
+      shop,
+      ...(status ? { status } : {}),
+      ...(q
+        ? {
+            OR: [
+              { orderName: { contains: q, mode: "insensitive" } },
+              { orderId: q },
+              { orderReference: q },
+            ],
+          }
+        : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: take * 2,
+    include: {
+      events: {
+        where: { type: "callback" },
+        orderBy: { createdAt: "desc" },
+        take: 1,
+      },
+    },
+  });
+
+  const seen = new Set();
+  return payments
+    .filter((p) => {
+      if (seen.has(p.orderId)) return false;
+      seen.add(p.orderId);
+      return true;
+    })
+    .slice(0, take);
+}
+
+export async function listPaymentsForOrder({ shop, orderId }) {
+  return prisma.procardPayment.findMany({
+    where: { shop, orderId: String(orderId) },
+    orderBy: { createdAt: "desc" },
+  });
+}
@@ -0,0 +1,73 @@
+import prisma from "./db.server";
+
+/* ---------------- PROCARD ORDER REFERENCES ---------------- */
+
+const ORDER_GID_PREFIX = "gid://shopify/Order/";
+
+export function orderGidFor(order) {
+  return order?.admin_graphql_api_id || `${ORDER_GID_PREFIX}${order?.id}`;
+}
+
+export function orderIdFromGid(orderGid) {
+  return String(orderGid || "").replace(ORDER_GID_PREFIX, "");
+}
+
+// Procard refuses a reused order_id. "<order id>-P<attempt>" is unique per
+// attempt and can't clash with the older "<order id>-<base36 time>" ones.
+function referenceFor(order, attempt) {
+  return `${order.id}-P${attempt}`;
+}
+
+function mappingData({ shop, order }, attempt) {
+  return {
+    reference: referenceFor(order, attempt),
+    shop: shop || null,
+    orderGid: orderGidFor(order),
+    orderId: String(order.id),
+    orderName: order?.name ? String(order.name) : null,
+    attempt,
+  };
+}
+
+// The link sent on orders/create; a retried webhook gets the same reference
+export async function initialProcardReference({ shop, order }) {
+  const data = mappingData({ shop, order }, 1);
+
+  return prisma.procardReference.upsert({
+    where: {
+      orderGid_attempt: { orderGid: data.orderGid, attempt: 1 },
+    },
+    create: data,
+    update: {},
+  });
+}
+
+// A fresh reference for a regenerated link. Two concurrent regenerations
+// race for the same attempt; the loser takes the next one.
+export async function nextProcardReference({ shop, order }) {
+  const orderGid = orderGidFor(order);
+
+  for (let tries = 0; tries < 5; tries++) {
+    const last = await prisma.procardReference.findFirst({
+      where: { orderGid },
+      orderBy: { attempt: "desc" },
+    });
+
+    try {
+      return await prisma.procardReference.create({
+        data: mappingData({ shop, order }, (last?.attempt || 0) + 1),
+      });
+    } catch (e) {
+      if (e?.code !== "P2002") throw e;
+    }
+  }
+
+  throw new Error(`Could not allocate a Procard reference for ${orderGid}`);
+}
+
+export async function findProcardReference(reference) {
+  if (!reference) return null;
+  return prisma.procardReference.findUnique({
+    where: { reference: String(reference) },
+  });
+}
@@ -0,0 +1,148 @@
+import { PROCARD_GATEWAY, requestRefund } from "./procard.server";
+import { toProcardAmount } from "./procardCurrency.server";
+import { getShopConfig } from "./shopConfig.server";
+import {
+  PAYMENT_STATUS,
+  findRefundablePayment,
+  hasRefundBeenProcessed,
+  recordRefund,
+  remainingRefundable,
+} from "./procardPayments.server";
+import { appendOrderNote, tagOrder } from "./shopifyOrders.server";
+
+/* ---------------- SHOPIFY REFUND → PROCARD ---------------- */
+
+// Only money Shopify returned through the Procard transaction; cash or
+// manual refunds and restock-only refunds send nothing to Procard
+export function getRefundAmount(refund) {
+  return (refund?.transactions || [])
+    .filter(
+      (t) =>
+        t?.kind === "refund" &&
+        t?.status === "success" &&
+        t?.gateway === PROCARD_GATEWAY,
+    )
+    .reduce((sum, t) => sum + (Number(t?.amount) || 0), 0);
+}
+
+function roundAmount(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Sends one refund to Procard and records it on the payment. refundKey names
+// what is refunded (a Shopify refund id) so a retry can be recognised.
+export async function refundProcardPayment(
+  shop,
+  payment,
+  { refundKey, amount, description },
+) {
+  const currency = payment.paidCurrency || payment.currency;
+  const remaining = remainingRefundable(payment);
+
+  let result;
+  if (amount - remaining > 0.005) {
+    result = {
+      ok: false,
+      error: `Refund ${amount} ${currency} exceeds remaining ${remaining} ${currency}`,
+    };
+  } else {
+    const { procard } = await getShopConfig(shop);
+    const res = await requestRefund(procard, {
+      orderReference: payment.orderReference,
+      amount,
+      currency,
+      description,
+    });
+    result = {
+      ok: res.ok,
+      response: res.json,
+      error: res.ok ? null : `Procard refund rejected (${res.status})`,
+    };
+  }
+
+  const updated = await recordRefund(payment, {
+    shopifyRefundId: refundKey,
+    amount,
+    currency,
+    ...result,
+  });
+
+  return { ...result, amount, currency, payment: updated };
+}
+
+// Tags and notes the order with the outcome of refundProcardPayment
+export async function noteRefundOnOrder(shop, orderId, refund) {
+  const { amount, currency } = refund;
+
+  if (!refund.ok) {
+    await tagOrder(shop, orderId, ["procard_refund_failed"]);
+    await appendOrderNote(
+      shop,
+      orderId,
+      `Procard refund of ${amount} ${currency} failed: ${refund.error} (${new Date().toISOString()})`,
+    );
+    return;
+  }
+
+  const fullyRefunded = refund.payment.status === PAYMENT_STATUS.REFUNDED;
+  await tagOrder(
+    shop,
+    orderId,
+    [fullyRefunded ? "procard_refunded" : "procard_partially_refunded"],
+    fullyRefunded
+      ? ["paid_procard", "procard_partially_refunded", "procard_refund_failed"]
+      : ["procard_refund_failed"],
+  );
+  await appendOrderNote(
+    shop,
+    orderId,
+    `Procard refund of ${amount} ${currency} sent (${new Date().toISOString()})`,
+  );
+}
+
+export async function handleRefundCreated({ shop, payload }) {
+  const orderIdNumeric = Number(payload?.order_id);
+  const refundId = payload?.id;
+
+  try {
+    const payment = await findRefundablePayment(payload?.order_id);
+    if (!payment) {
+      console.log("No paid Procard payment for refunded order → skip", {
+        orderId: payload?.order_id,
+      });
+      return new Response(null, { status: 200 });
+    }
+
+    if (await hasRefundBeenProcessed(payment, refundId)) {
+      console.log("Refund already sent to Procard → skip", { refundId });
+      return new Response(null, { status: 200 });
+    }
+
+    // Shopify refunds in the order's currency; Procard in what it charged
+    const amount = toProcardAmount(
+      payment,
+      roundAmount(getRefundAmount(payload)),
+    );
+    if (amount <= 0) {
+      console.log("Refund returns nothing through Procard → skip", {
+        refundId,
+      });
+      return new Response(null, { status: 200 });
+    }
+
+    const refund = await refundProcardPayment(shop, payment, {
+      refundKey: refundId,
+      amount,
+      description: `Erina Home refund ${payload?.order_id}`,
+    });
+    if (!refund.ok) {
+      console.error("Procard refund failed", { refundId, error: refund.error });
+    }
+    await noteRefundOnOrder(shop, orderIdNumeric, refund);
+
+    return new Response(null, { status: 200 });
+  } catch (e) {
+    console.error("Refund webhook error:", e);
+    return new Response("Refund webhook failed", { status: 500 });
+  }
+}
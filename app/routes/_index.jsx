@@ -0,0 +1,11 @@
+import { redirect } from "react-router";
+
+export const loader = async ({ request }) => {
+  const url = new URL(request.url);
+
+  if (url.searchParams.get("shop")) {
+    throw redirect(`/app?${url.searchParams.toString()}`);
+  }
+
+  return new Response("Not found", { status: 404 });
+};
@@ -0,0 +1,30 @@
+import { authenticate } from "../shopify.server";
+import { regeneratePaymentLink } from "../paymentLinks.server";
+
+// Called by the order-details admin action extension
+export const action = async ({ request }) => {
+  const { session, cors } = await authenticate.admin(request);
+  const body = await request.json().catch(() => null);
+
+  const orderId = String(body?.orderId || "").replace(
+    "gid://shopify/Order/",
+    "",
+  );
+  if (!/^\d+$/.test(orderId)) {
+    return cors(Response.json({ error: "Invalid orderId" }, { status: 400 }));
+  }
+
+  try {
+    const result = await regeneratePaymentLink({
+      shop: session.shop,
+      orderId,
+      email: body?.email,
+    });
+    return cors(Response.json(result));
+  } catch (e) {
+    console.error("Regenerate payment link failed", e);
+    return cors(
+      Response.json({ error: String(e?.message || e) }, { status: 422 }),
+    );
+  }
+};
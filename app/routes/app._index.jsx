@@ -0,0 +1,228 @@
+import { Form, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { listDeadJobs } from "../outbox.server";
+import {
+  findShipmentsForOrders,
+  listRecentShipments,
+} from "../postOffice.server";
+import { listRecentPayments } from "../procardPayments.server";
+
+const PAYMENT_STATUSES = {
+  link_requested: { label: "Link requested", tone: "neutral" },
+  link_sent: { label: "Link sent", tone: "info" },
+  link_failed: { label: "Link failed", tone: "critical" },
+  pending: { label: "Pending", tone: "info" },
+  paid: { label: "Paid", tone: "success" },
+  amount_mismatch: { label: "Amount mismatch", tone: "critical" },
+  declined: { label: "Declined", tone: "critical" },
+  expired: { label: "Expired", tone: "warning" },
+  partially_refunded: { label: "Partially refunded", tone: "caution" },
+  refunded: { label: "Refunded", tone: "warning" },
+  voided: { label: "Voided", tone: "warning" },
+  superseded: { label: "Superseded", tone: "neutral" },
+  invalidated: { label: "Invalidated (order edited)", tone: "warning" },
+};
+
+const SHIPMENT_STATUSES = {
+  submitting: { label: "Submitting", tone: "info" },
+  submitted: { label: "Sent", tone: "success" },
+  failed: { label: "Failed", tone: "critical" },
+  held: { label: "Address review", tone: "warning" },
+  unshippable: { label: "Not shippable", tone: "critical" },
+  cancelled: { label: "Cancelled", tone: "neutral" },
+  interrupted: { label: "Check PostOffice", tone: "critical" },
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const query = url.searchParams.get("q") || "";
+  const status = url.searchParams.get("status") || "";
+  const paymentStatus = PAYMENT_STATUSES[status] ? status : undefined;
+
+  const payments = await listRecentPayments({
+    shop: session.shop,
+    query,
+    status: paymentStatus,
+  });
+
+  // Orders booked only through orders/fulfilled have no payment row
+  const shipments = paymentStatus
+    ? await findShipmentsForOrders(
+        session.shop,
+        payments.map((p) => p.orderId),
+      )
+    : await listRecentShipments({ shop: session.shop, query });
+  const shipmentByOrder = new Map(shipments.map((s) => [s.orderId, s]));
+  const paymentByOrder = new Map(payments.map((p) => [p.orderId, p]));
+
+  const missingShipments = await findShipmentsForOrders(
+    session.shop,
+    payments
+      .map((p) => p.orderId)
+      .filter((orderId) => !shipmentByOrder.has(orderId)),
+  );
+  for (const s of missingShipments) shipmentByOrder.set(s.orderId, s);
+
+  const orderIds = new Set([
+    ...paymentByOrder.keys(),
+    ...shipmentByOrder.keys(),
+  ]);
+
+  const orders = Array.from(orderIds).map((orderId) => {
+    const p = paymentByOrder.get(orderId);
+    const s = shipmentByOrder.get(orderId);
+    const callback = p?.events[0];
+    const updatedAt = [p?.updatedAt, s?.updatedAt]
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+
+    return {
+      orderId,
+      orderName: p?.orderName || s?.orderName || orderId,
+      amount: p ? `${Number(p.amount).toFixed(2)} ${p.currency}` : "—",
+      paymentStatus: p?.status || null,
+      callbackStatus: callback?.transactionStatus || null,
+      callbackAt: callback?.createdAt?.toISOString() || null,
+      shipmentStatus: s?.status || null,
+      parcelCount: s?.parcels.length || 0,
+      trackingStatus: s?.trackingStatus || null,
+      lastError: p?.lastError || s?.lastError || null,
+      updatedAt: updatedAt.toISOString(),
+    };
+  });
+  orders.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  const deadJobs = await listDeadJobs(session.shop);
+
+  return {
+    orders: orders.slice(0, 50),
+    query,
+    status,
+    deadJobs: deadJobs.map((j) => ({
+      id: j.id,
+      kind: j.kind,
+      orderId: j.orderId,
+      lastError: j.lastError,
+    })),
+  };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+export default function Index() {
+  const { orders, query, status, deadJobs } = useLoaderData();
+
+  return (
+    <s-page heading="Procard & PostOffice orders">
+      {deadJobs.length > 0 && (
+        <s-banner tone="critical" heading="Outbound calls gave up">
+          <s-stack gap="small-100">
+            <s-paragraph>
+              These calls failed on every retry. Open the order to retry them.
+            </s-paragraph>
+            {deadJobs.map((j) => (
+              <s-paragraph key={j.id}>
+                {j.orderId ? (
+                  <s-link href={`/app/orders/${j.orderId}`}>{j.orderId}</s-link>
+                ) : (
+                  "—"
+                )}{" "}
+                · {j.kind} · {j.lastError || "unknown error"}
+              </s-paragraph>
+            ))}
+          </s-stack>
+        </s-banner>
+      )}
+
+      <s-section>
+        <Form method="get">
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-search-field
+              name="q"
+              label="Order number"
+              placeholder="#1001"
+              defaultValue={query}
+            />
+            <s-select name="status" label="Payment status" value={status}>
+              <s-option value="">All</s-option>
+              {Object.entries(PAYMENT_STATUSES).map(([value, { label }]) => (
+                <s-option key={value} value={value}>
+                  {label}
+                </s-option>
+              ))}
+            </s-select>
+            <s-button type="submit">Filter</s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section padding="none">
+        {orders.length === 0 ? (
+          <s-box padding="base">
+            <s-paragraph>No orders found.</s-paragraph>
+          </s-box>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Order</s-table-header>
+              <s-table-header format="currency">Amount</s-table-header>
+              <s-table-header>Payment link</s-table-header>
+              <s-table-header>Procard callback</s-table-header>
+              <s-table-header>PostOffice</s-table-header>
+              <s-table-header>Last error</s-table-header>
+              <s-table-header>Updated</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {orders.map((order) => {
+                const payment = PAYMENT_STATUSES[order.paymentStatus] || {
+                  label: order.paymentStatus || "No link",
+                  tone: "neutral",
+                };
+                const shipment = SHIPMENT_STATUSES[order.shipmentStatus] || {
+                  label: "Not sent",
+                  tone: "neutral",
+                };
+
+                return (
+                  <s-table-row key={order.orderId}>
+                    <s-table-cell>
+                      <s-link href={`/app/orders/${order.orderId}`}>
+                        {order.orderName}
+                      </s-link>
+                    </s-table-cell>
+                    <s-table-cell>{order.amount}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={payment.tone}>{payment.label}</s-badge>
+                    </s-table-cell>
+                    <s-table-cell>
+                      {order.callbackStatus
+                        ? `${order.callbackStatus} · ${formatDate(order.callbackAt)}`
+                        : "—"}
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={shipment.tone}>{shipment.label}</s-badge>
+                      {order.parcelCount > 1
+                        ? ` ${order.parcelCount} parcels`
+                        : ""}
+                      {order.trackingStatus ? ` ${order.trackingStatus}` : ""}
+                    </s-table-cell>
+                    <s-table-cell>{order.lastError || "—"}</s-table-cell>
+                    <s-table-cell>{formatDate(order.updatedAt)}</s-table-cell>
+                  </s-table-row>
+                );
+              })}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
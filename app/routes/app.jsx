@@ -0,0 +1,35 @@
+import { Outlet, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { AppProvider } from "@shopify/shopify-app-react-router/react";
+import { apiKey, authenticate } from "../shopify.server";
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  return { apiKey };
+};
+
+export default function App() {
+  const { apiKey } = useLoaderData();
+
+  return (
+    <AppProvider embedded apiKey={apiKey}>
+      <s-app-nav>
+        <s-link href="/app">Orders</s-link>
+        <s-link href="/app/payment-rules">Payment rules</s-link>
+        <s-link href="/app/webhooks">Webhooks</s-link>
+        <s-link href="/app/settings">Settings</s-link>
+      </s-app-nav>
+      <Outlet />
+    </AppProvider>
+  );
+}
+
+// Shopify needs React Router to catch some thrown responses, so that their headers are included in the response.
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,397 @@
+import {
+  Form,
+  data,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { listJobsForOrder, retryDeadJob } from "../outbox.server";
+import { regeneratePaymentLink } from "../paymentLinks.server";
+import {
+  SHIPMENT_STATUS,
+  findShipmentsForOrders,
+  resubmitShipment,
+} from "../postOffice.server";
+import { addCityAlias, listCities } from "../postOfficeCities.server";
+import { countryIdFromShippingAddress } from "../postOfficeCountries.server";
+import { listPaymentsForOrder } from "../procardPayments.server";
+import { shopifyRest } from "../shopifyOrders.server";
+
+const OUTBOX_TONES = {
+  pending: "info",
+  running: "info",
+  done: "success",
+  dead: "critical",
+  cancelled: "neutral",
+};
+
+// Held shipments need the order's city and the catalog to pick from
+async function loadCityReview(shop, orderId) {
+  const current = await shopifyRest(shop, `/orders/${orderId}.json`);
+  const shipping = current?.order?.shipping_address;
+  const countryId = countryIdFromShippingAddress(shipping);
+  const cities = countryId ? await listCities(countryId) : [];
+
+  return {
+    city: shipping?.city || "",
+    cities: cities.map((c) => ({ id: c.id, label: c.label })),
+  };
+}
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const payments = await listPaymentsForOrder({
+    shop: session.shop,
+    orderId: params.orderId,
+  });
+
+  const [shipment] = await findShipmentsForOrders(session.shop, [
+    params.orderId,
+  ]);
+  const canResend = [
+    SHIPMENT_STATUS.FAILED,
+    SHIPMENT_STATUS.UNSHIPPABLE,
+    SHIPMENT_STATUS.INTERRUPTED,
+  ].includes(shipment?.status);
+  const cityReview =
+    shipment?.status === SHIPMENT_STATUS.HELD
+      ? await loadCityReview(session.shop, params.orderId)
+      : null;
+
+  const jobs = await listJobsForOrder(session.shop, params.orderId);
+
+  return {
+    orderId: params.orderId,
+    orderName: payments[0]?.orderName || shipment?.orderName || params.orderId,
+    shipment: shipment && {
+      status: shipment.status,
+      lastError: shipment.lastError,
+      trackingStatus: shipment.trackingStatus,
+      parcels: shipment.parcels.map((p) => ({
+        id: p.id,
+        refid: p.refid,
+        description: p.description,
+        barcode: p.barcode,
+        trackingUrl: p.trackingUrl,
+        trackingStatus: p.trackingStatus,
+      })),
+    },
+    cityReview,
+    canResend,
+    jobs: jobs.map((j) => ({
+      id: j.id,
+      kind: j.kind,
+      status: j.status,
+      attempts: j.attempts,
+      lastError: j.lastError,
+      runAt: j.runAt.toISOString(),
+    })),
+    payments: payments.map((p) => ({
+      id: p.id,
+      orderReference: p.orderReference,
+      status: p.status,
+      amount: `${Number(p.amount).toFixed(2)} ${p.currency}`,
+      paymentUrl: p.paymentUrl,
+      lastError: p.lastError,
+      createdAt: p.createdAt.toISOString(),
+    })),
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "retry_outbox") {
+    try {
+      const summary = await retryDeadJob(session.shop, formData.get("jobId"));
+      return { intent, ok: summary.done > 0, summary };
+    } catch (e) {
+      return { intent, ok: false, error: String(e?.message || e) };
+    }
+  }
+
+  if (intent === "resolve_city" || intent === "resend_shipment") {
+    try {
+      if (intent === "resolve_city") {
+        await addCityAlias(formData.get("cityId"), formData.get("alias"));
+      }
+      const result = await resubmitShipment({
+        shop: session.shop,
+        orderId: params.orderId,
+      });
+      return { intent, ok: true, shipmentStatus: result.status };
+    } catch (e) {
+      return { intent, ok: false, error: String(e?.message || e) };
+    }
+  }
+
+  if (intent === "regenerate") {
+    try {
+      const result = await regeneratePaymentLink({
+        shop: session.shop,
+        orderId: params.orderId,
+        email: formData.get("email"),
+      });
+      return { intent, ok: true, ...result };
+    } catch (e) {
+      return { intent, ok: false, error: String(e?.message || e) };
+    }
+  }
+
+  return data(
+    { intent, ok: false, error: `Unknown action "${intent}"` },
+    { status: 400 },
+  );
+};
+
+export default function OrderPayments() {
+  const { orderName, payments, shipment, cityReview, canResend, jobs } =
+    useLoaderData();
+  const actionData = useActionData();
+  const result = actionData?.intent === "regenerate" ? actionData : null;
+  const cityResult = ["resolve_city", "resend_shipment"].includes(
+    actionData?.intent,
+  )
+    ? actionData
+    : null;
+  const retryResult = actionData?.intent === "retry_outbox" ? actionData : null;
+  const navigation = useNavigation();
+  const submitting = navigation.state === "submitting";
+
+  return (
+    <s-page heading={`Order ${orderName}`}>
+      <s-link slot="breadcrumb-actions" href="/app">
+        Orders
+      </s-link>
+
+      <s-section heading="Resend payment link">
+        {result?.ok && (
+          <s-banner tone={result.emailError ? "warning" : "success"}>
+            New link created ({result.orderReference}).{" "}
+            {result.emailError
+              ? `Email failed: ${result.emailError}`
+              : result.emailedTo
+                ? `Sent to ${result.emailedTo}.`
+                : "The order has no email address."}
+          </s-banner>
+        )}
+        {result && !result.ok && (
+          <s-banner tone="critical">{result.error}</s-banner>
+        )}
+        <Form method="post">
+          <input type="hidden" name="intent" value="regenerate" />
+          <s-stack gap="base">
+            <s-paragraph>
+              Creates a fresh Procard link for the current order total, replaces
+              the procard_payment_url attribute and emails the customer. Older
+              unpaid links are marked as superseded.
+            </s-paragraph>
+            <s-email-field
+              name="email"
+              label="Send to a different email"
+              details="Leave empty to use the order's email"
+            />
+            <s-button type="submit" variant="primary" loading={submitting}>
+              Regenerate and resend
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section heading="Payment attempts" padding="none">
+        <s-table>
+          <s-table-header-row>
+            <s-table-header listSlot="primary">Reference</s-table-header>
+            <s-table-header>Status</s-table-header>
+            <s-table-header format="currency">Amount</s-table-header>
+            <s-table-header>Created</s-table-header>
+            <s-table-header>Last error</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {payments.map((p) => (
+              <s-table-row key={p.id}>
+                <s-table-cell>
+                  {p.paymentUrl ? (
+                    <s-link href={p.paymentUrl} target="_blank">
+                      {p.orderReference}
+                    </s-link>
+                  ) : (
+                    p.orderReference
+                  )}
+                </s-table-cell>
+                <s-table-cell>{p.status}</s-table-cell>
+                <s-table-cell>{p.amount}</s-table-cell>
+                <s-table-cell>
+                  {new Date(p.createdAt).toLocaleString()}
+                </s-table-cell>
+                <s-table-cell>{p.lastError || "—"}</s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+      </s-section>
+
+      {shipment && (
+        <s-section heading="PostOffice">
+          <s-stack gap="base">
+            <s-paragraph>
+              Status: {shipment.status}
+              {shipment.trackingStatus ? ` · ${shipment.trackingStatus}` : ""}
+              {shipment.lastError ? ` · ${shipment.lastError}` : ""}
+            </s-paragraph>
+
+            {cityResult?.ok && (
+              <s-banner
+                tone={
+                  cityResult.shipmentStatus === "submitted"
+                    ? "success"
+                    : "warning"
+                }
+              >
+                {cityResult.intent === "resolve_city" ? "Alias saved. " : ""}
+                PostOffice submission: {cityResult.shipmentStatus}.
+              </s-banner>
+            )}
+            {cityResult && !cityResult.ok && (
+              <s-banner tone="critical">{cityResult.error}</s-banner>
+            )}
+
+            {cityReview && (
+              <Form method="post">
+                <input type="hidden" name="intent" value="resolve_city" />
+                <input type="hidden" name="alias" value={cityReview.city} />
+                <s-stack gap="base">
+                  <s-paragraph>
+                    &ldquo;{cityReview.city}&rdquo; is not in the PostOffice
+                    city catalog. Pick the city it means; the spelling is saved
+                    as an alias and the parcel is sent again.
+                  </s-paragraph>
+                  <s-select name="cityId" label="PostOffice city">
+                    {cityReview.cities.map((c) => (
+                      <s-option key={c.id} value={c.id}>
+                        {c.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-button
+                    type="submit"
+                    variant="primary"
+                    loading={submitting}
+                  >
+                    Save alias and send
+                  </s-button>
+                </s-stack>
+              </Form>
+            )}
+
+            {canResend && (
+              <Form method="post">
+                <input type="hidden" name="intent" value="resend_shipment" />
+                <s-button type="submit" loading={submitting}>
+                  Send to PostOffice again
+                </s-button>
+              </Form>
+            )}
+
+            {shipment.parcels.length > 0 && (
+              <s-table>
+                <s-table-header-row>
+                  <s-table-header listSlot="primary">Refid</s-table-header>
+                  <s-table-header>Contents</s-table-header>
+                  <s-table-header>Barcode</s-table-header>
+                  <s-table-header>Tracking</s-table-header>
+                </s-table-header-row>
+                <s-table-body>
+                  {shipment.parcels.map((p) => (
+                    <s-table-row key={p.id}>
+                      <s-table-cell>{p.refid || "—"}</s-table-cell>
+                      <s-table-cell>{p.description || "—"}</s-table-cell>
+                      <s-table-cell>
+                        {p.barcode && p.trackingUrl ? (
+                          <s-link href={p.trackingUrl} target="_blank">
+                            {p.barcode}
+                          </s-link>
+                        ) : (
+                          p.barcode || "—"
+                        )}
+                      </s-table-cell>
+                      <s-table-cell>{p.trackingStatus || "—"}</s-table-cell>
+                    </s-table-row>
+                  ))}
+                </s-table-body>
+              </s-table>
+            )}
+          </s-stack>
+        </s-section>
+      )}
+
+      {jobs.length > 0 && (
+        <s-section heading="Outbound calls" padding="none">
+          {retryResult && (
+            <s-box padding="base">
+              <s-banner tone={retryResult.ok ? "success" : "critical"}>
+                {retryResult.ok
+                  ? "Retry succeeded."
+                  : retryResult.error ||
+                    "Retry failed; it will be retried again."}
+              </s-banner>
+            </s-box>
+          )}
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Call</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header format="numeric">Attempts</s-table-header>
+              <s-table-header>Next run</s-table-header>
+              <s-table-header>Last error</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {jobs.map((j) => (
+                <s-table-row key={j.id}>
+                  <s-table-cell>{j.kind}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={OUTBOX_TONES[j.status] || "neutral"}>
+                      {j.status}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>{j.attempts}</s-table-cell>
+                  <s-table-cell>
+                    {j.status === "pending"
+                      ? new Date(j.runAt).toLocaleString()
+                      : "—"}
+                  </s-table-cell>
+                  <s-table-cell>{j.lastError || "—"}</s-table-cell>
+                  <s-table-cell>
+                    {j.status === "dead" && (
+                      <Form method="post">
+                        <input
+                          type="hidden"
+                          name="intent"
+                          value="retry_outbox"
+                        />
+                        <input type="hidden" name="jobId" value={j.id} />
+                        <s-button type="submit" loading={submitting}>
+                          Retry
+                        </s-button>
+                      </Form>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,216 @@
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  DEFAULT_PAYMENT_RULE,
+  createPaymentRule,
+  deletePaymentRule,
+  listPaymentRules,
+  parsePaymentRuleForm,
+  setPaymentRuleEnabled,
+} from "../paymentRules.server";
+
+function toRow(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    position: rule.position ?? 0,
+    enabled: rule.enabled ?? true,
+    gatewayNames: rule.gatewayNames,
+    gatewayPattern: rule.gatewayPattern,
+    tags: rule.tags,
+    channels: rule.channels,
+    minAmount: rule.minAmount == null ? null : String(rule.minAmount),
+    maxAmount: rule.maxAmount == null ? null : String(rule.maxAmount),
+  };
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const rules = await listPaymentRules(session.shop);
+
+  return {
+    rules: rules.map(toRow),
+    defaultRule: rules.length ? null : toRow(DEFAULT_PAYMENT_RULE),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const ruleId = String(formData.get("ruleId") || "");
+
+  try {
+    if (intent === "toggle") {
+      await setPaymentRuleEnabled(
+        session.shop,
+        ruleId,
+        formData.get("enabled") === "true",
+      );
+      return { intent, ok: true };
+    }
+
+    if (intent === "delete") {
+      await deletePaymentRule(session.shop, ruleId);
+      return { intent, ok: true };
+    }
+
+    const { data, errors } = parsePaymentRuleForm(formData);
+    if (errors.length) return { intent: "create", ok: false, errors };
+
+    await createPaymentRule(session.shop, data);
+    return { intent: "create", ok: true };
+  } catch (e) {
+    return { intent, ok: false, errors: [String(e?.message || e)] };
+  }
+};
+
+function describeRule(rule) {
+  const parts = [];
+  if (rule.gatewayNames.length) {
+    parts.push(`gateway is ${rule.gatewayNames.join(" or ")}`);
+  }
+  if (rule.gatewayPattern) {
+    parts.push(`gateway matches /${rule.gatewayPattern}/`);
+  }
+  if (rule.tags.length) parts.push(`tagged ${rule.tags.join(" or ")}`);
+  if (rule.channels.length) parts.push(`channel ${rule.channels.join(" or ")}`);
+  if (rule.minAmount != null) parts.push(`total ≥ ${rule.minAmount}`);
+  if (rule.maxAmount != null) parts.push(`total ≤ ${rule.maxAmount}`);
+  return parts.join(", ");
+}
+
+export default function PaymentRules() {
+  const { rules, defaultRule } = useLoaderData();
+  const result = useActionData();
+  const navigation = useNavigation();
+  const submitting = navigation.state === "submitting";
+
+  return (
+    <s-page heading="Payment rules">
+      <s-link slot="breadcrumb-actions" href="/app">
+        Orders
+      </s-link>
+
+      {result && !result.ok && (
+        <s-banner tone="critical">{result.errors.join(". ")}</s-banner>
+      )}
+
+      <s-section heading="Rules" padding="none">
+        <s-box padding="base">
+          <s-paragraph>
+            New orders get a Procard payment link when they match a rule. Rules
+            are tried in position order and an order matches one when it passes
+            every criterion the rule sets. With every rule disabled no links are
+            sent.
+          </s-paragraph>
+        </s-box>
+        {defaultRule ? (
+          <s-box padding="base">
+            <s-banner tone="info">
+              {`No rules yet, so the default applies: ${describeRule(defaultRule)}.`}
+            </s-banner>
+          </s-box>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Name</s-table-header>
+              <s-table-header format="numeric">Position</s-table-header>
+              <s-table-header>Matches when</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rules.map((r) => (
+                <s-table-row key={r.id}>
+                  <s-table-cell>{r.name}</s-table-cell>
+                  <s-table-cell>{r.position}</s-table-cell>
+                  <s-table-cell>{describeRule(r)}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={r.enabled ? "success" : "neutral"}>
+                      {r.enabled ? "Enabled" : "Disabled"}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small">
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="toggle" />
+                        <input type="hidden" name="ruleId" value={r.id} />
+                        <input
+                          type="hidden"
+                          name="enabled"
+                          value={String(!r.enabled)}
+                        />
+                        <s-button type="submit" loading={submitting}>
+                          {r.enabled ? "Disable" : "Enable"}
+                        </s-button>
+                      </Form>
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="delete" />
+                        <input type="hidden" name="ruleId" value={r.id} />
+                        <s-button
+                          type="submit"
+                          tone="critical"
+                          loading={submitting}
+                        >
+                          Delete
+                        </s-button>
+                      </Form>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Add a rule">
+        <Form method="post">
+          <input type="hidden" name="intent" value="create" />
+          <s-stack gap="base">
+            <s-text-field name="name" label="Name" required />
+            <s-number-field name="position" label="Position" value="0" />
+            <s-text-field
+              name="gatewayNames"
+              label="Gateway names"
+              details="Comma separated, as in the order's payment gateways (case-insensitive)"
+            />
+            <s-text-field
+              name="gatewayPattern"
+              label="Gateway pattern"
+              details="Regular expression tested against each gateway name"
+            />
+            <s-text-field
+              name="tags"
+              label="Order tags"
+              details="Comma separated; the order needs any one of them"
+            />
+            <s-text-field
+              name="channels"
+              label="Sales channels"
+              details="Comma separated order source names, e.g. web, pos, shopify_draft_order"
+            />
+            <s-stack direction="inline" gap="base">
+              <s-number-field name="minAmount" label="Minimum total" min={0} />
+              <s-number-field name="maxAmount" label="Maximum total" min={0} />
+            </s-stack>
+            <s-button type="submit" variant="primary" loading={submitting}>
+              Add rule
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,251 @@
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { testResendConnection } from "../paymentEmail.server";
+import { testPostOfficeConnection } from "../postOfficeApi.server";
+import { postOfficeCountries } from "../postOfficeCountries.server";
+import { testProcardConnection } from "../procard.server";
+import { procardCurrencies } from "../procardCurrency.server";
+import {
+  getShopConfig,
+  parseShopSettingsForm,
+  readShopSettings,
+  saveShopSettings,
+} from "../shopConfig.server";
+
+const CONNECTION_TESTS = {
+  test_procard: "Procard",
+  test_postoffice: "PostOffice",
+  test_resend: "Resend",
+};
+
+// Tests run against what is saved, env fallbacks included
+async function runConnectionTest(intent, shop) {
+  const config = await getShopConfig(shop);
+
+  if (intent === "test_procard") {
+    return testProcardConnection(config.procard, procardCurrencies()[0]);
+  }
+  if (intent === "test_postoffice") {
+    const [countryId] = postOfficeCountries().values();
+    return testPostOfficeConnection(config.postOffice, countryId);
+  }
+  return testResendConnection(config.resend);
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  return readShopSettings(session.shop);
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = String(formData.get("intent") || "");
+
+  if (CONNECTION_TESTS[intent]) {
+    try {
+      return { intent, ...(await runConnectionTest(intent, session.shop)) };
+    } catch (e) {
+      return { intent, ok: false, error: String(e?.message || e) };
+    }
+  }
+
+  const { data, errors } = parseShopSettingsForm(formData);
+  if (errors.length) return { intent: "save", ok: false, errors };
+
+  await saveShopSettings(session.shop, data);
+  return { intent: "save", ok: true };
+};
+
+export default function Settings() {
+  const { values, secrets, envFallback } = useLoaderData();
+  const unsaved = envFallback
+    ? "Not saved; the env fallback applies"
+    : "Not saved";
+  const result = useActionData();
+  const navigation = useNavigation();
+  const submitting = navigation.state === "submitting";
+
+  return (
+    <s-page heading="Settings">
+      <s-link slot="breadcrumb-actions" href="/app">
+        Orders
+      </s-link>
+
+      {result?.intent === "save" &&
+        (result.ok ? (
+          <s-banner tone="success">Settings saved.</s-banner>
+        ) : (
+          <s-banner tone="critical">{result.errors.join(". ")}</s-banner>
+        ))}
+      {CONNECTION_TESTS[result?.intent] && (
+        <s-banner tone={result.ok ? "success" : "critical"}>
+          {result.ok
+            ? `${CONNECTION_TESTS[result.intent]} connection works.${result.note ? ` ${result.note}` : ""}`
+            : `${CONNECTION_TESTS[result.intent]} connection failed: ${result.error}`}
+        </s-banner>
+      )}
+
+      <s-section>
+        <s-paragraph>
+          {envFallback
+            ? "Empty fields fall back to the app's environment variables. "
+            : "Settings apply to this shop only; empty fields stay unset. "}
+          Secrets are stored encrypted and never shown again. Test connection
+          uses the saved settings, so save first.
+        </s-paragraph>
+      </s-section>
+
+      <Form method="post">
+        <input type="hidden" name="intent" value="save" />
+
+        <s-section heading="Procard">
+          <s-stack gap="base">
+            <s-text-field
+              name="procardMerchantId"
+              label="Merchant ID"
+              value={values.procardMerchantId}
+            />
+            <s-password-field
+              name="procardSecret"
+              label="Secret"
+              details={
+                secrets.procardSecret
+                  ? "Saved. Leave empty to keep it."
+                  : unsaved
+              }
+            />
+            {secrets.procardSecret && (
+              <s-checkbox
+                name="procardSecretClear"
+                label="Remove the saved secret"
+              />
+            )}
+            <s-url-field
+              name="procardDispatcherUrl"
+              label="Dispatcher URL"
+              value={values.procardDispatcherUrl}
+            />
+            <s-url-field
+              name="procardRefundUrl"
+              label="Refund URL"
+              value={values.procardRefundUrl}
+            />
+            <s-url-field
+              name="procardCallbackUrl"
+              label="Callback URL"
+              details="Procard posts payment results here (/webhooks/procard/callback)"
+              value={values.procardCallbackUrl}
+            />
+            <s-url-field
+              name="procardApproveUrl"
+              label="Approve URL"
+              value={values.procardApproveUrl}
+            />
+            <s-url-field
+              name="procardDeclineUrl"
+              label="Decline URL"
+              value={values.procardDeclineUrl}
+            />
+            <s-url-field
+              name="procardCancelUrl"
+              label="Cancel URL"
+              value={values.procardCancelUrl}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="PostOffice">
+          <s-stack gap="base">
+            <s-url-field
+              name="postOfficeBaseUrl"
+              label="Base URL"
+              value={values.postOfficeBaseUrl}
+            />
+            <s-password-field
+              name="postOfficeToken"
+              label="Token"
+              details={
+                secrets.postOfficeToken
+                  ? "Saved. Leave empty to keep it."
+                  : unsaved
+              }
+            />
+            {secrets.postOfficeToken && (
+              <s-checkbox
+                name="postOfficeTokenClear"
+                label="Remove the saved token"
+              />
+            )}
+            <s-number-field
+              name="postOfficeDefaultWeightKg"
+              label="Default parcel weight (kg)"
+              details="Used when the products carry no weight"
+              min={0}
+              step={0.001}
+              value={values.postOfficeDefaultWeightKg}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Resend">
+          <s-stack gap="base">
+            <s-password-field
+              name="resendApiKey"
+              label="API key"
+              details={
+                secrets.resendApiKey
+                  ? "Saved. Leave empty to keep it."
+                  : unsaved
+              }
+            />
+            {secrets.resendApiKey && (
+              <s-checkbox
+                name="resendApiKeyClear"
+                label="Remove the saved api key"
+              />
+            )}
+            <s-text-field
+              name="resendEmailFrom"
+              label="Sender"
+              details='e.g. "Erina Home <shop@example.com>"'
+              value={values.resendEmailFrom}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section>
+          <s-button type="submit" variant="primary" loading={submitting}>
+            Save
+          </s-button>
+        </s-section>
+      </Form>
+
+      <s-section heading="Test connections">
+        <s-stack direction="inline" gap="base">
+          {Object.entries(CONNECTION_TESTS).map(([intent, label]) => (
+            <s-stack key={intent} gap="small">
+              <s-text>{label}</s-text>
+              <Form method="post">
+                <input type="hidden" name="intent" value={intent} />
+                <s-button type="submit" loading={submitting}>
+                  Test connection
+                </s-button>
+              </Form>
+            </s-stack>
+          ))}
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
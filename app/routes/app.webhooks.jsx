@@ -0,0 +1,186 @@
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { listRecentWebhookEvents } from "../webhookEvents.server";
+import { WEBHOOK_HANDLERS, replayWebhook } from "../webhookHandlers.server";
+
+const EVENT_STATUSES = {
+  processing: { label: "Processing", tone: "info" },
+  processed: { label: "Processed", tone: "success" },
+  failed: { label: "Failed", tone: "critical" },
+};
+
+// What the event is about, without shipping the whole payload to the page
+function eventSubject(event) {
+  const p = event.payload || {};
+  return String(
+    p.name ||
+      p.orderReference ||
+      (p.order_id ? `order ${p.order_id}` : "") ||
+      p.id ||
+      "—",
+  );
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const status = url.searchParams.get("status") || "";
+  const topic = url.searchParams.get("topic") || "";
+
+  const events = await listRecentWebhookEvents({
+    shop: session.shop,
+    status: EVENT_STATUSES[status] ? status : undefined,
+    topic: WEBHOOK_HANDLERS[topic] ? topic : undefined,
+  });
+
+  return {
+    status,
+    topic,
+    topics: Object.keys(WEBHOOK_HANDLERS),
+    events: events.map((e) => ({
+      id: e.id,
+      source: e.source,
+      topic: e.topic,
+      subject: eventSubject(e),
+      status: e.status,
+      deliveries: e.deliveries,
+      attempts: e.attempts,
+      responseStatus: e.responseStatus,
+      result: e.result,
+      createdAt: e.createdAt.toISOString(),
+      replayedAt: e.replayedAt?.toISOString() || null,
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const eventId = String(formData.get("eventId") || "");
+
+  try {
+    const result = await replayWebhook(session.shop, eventId);
+    return { eventId, ...result };
+  } catch (e) {
+    return { eventId, ok: false, error: String(e?.message || e) };
+  }
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+export default function Webhooks() {
+  const { events, status, topic, topics } = useLoaderData();
+  const result = useActionData();
+  const navigation = useNavigation();
+  const replaying = navigation.state === "submitting";
+
+  return (
+    <s-page heading="Webhook log">
+      <s-link slot="breadcrumb-actions" href="/app">
+        Orders
+      </s-link>
+
+      {result && (
+        <s-banner tone={result.ok ? "success" : "critical"}>
+          {result.ok
+            ? "Event replayed."
+            : result.error || `Replay failed (HTTP ${result.status}).`}
+        </s-banner>
+      )}
+
+      <s-section>
+        <Form method="get">
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-select name="topic" label="Topic" value={topic}>
+              <s-option value="">All</s-option>
+              {topics.map((t) => (
+                <s-option key={t} value={t}>
+                  {t}
+                </s-option>
+              ))}
+            </s-select>
+            <s-select name="status" label="Status" value={status}>
+              <s-option value="">All</s-option>
+              {Object.entries(EVENT_STATUSES).map(([value, { label }]) => (
+                <s-option key={value} value={value}>
+                  {label}
+                </s-option>
+              ))}
+            </s-select>
+            <s-button type="submit">Filter</s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section padding="none">
+        {events.length === 0 ? (
+          <s-box padding="base">
+            <s-paragraph>No webhooks received yet.</s-paragraph>
+          </s-box>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Topic</s-table-header>
+              <s-table-header>Subject</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header format="numeric">Deliveries</s-table-header>
+              <s-table-header>Result</s-table-header>
+              <s-table-header>Received</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {events.map((e) => {
+                const badge = EVENT_STATUSES[e.status] || {
+                  label: e.status,
+                  tone: "neutral",
+                };
+
+                return (
+                  <s-table-row key={e.id}>
+                    <s-table-cell>{e.topic}</s-table-cell>
+                    <s-table-cell>{e.subject}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={badge.tone}>{badge.label}</s-badge>
+                    </s-table-cell>
+                    <s-table-cell>{e.deliveries}</s-table-cell>
+                    <s-table-cell>
+                      {e.responseStatus
+                        ? `HTTP ${e.responseStatus}${e.result ? ` · ${e.result}` : ""}`
+                        : "—"}
+                    </s-table-cell>
+                    <s-table-cell>
+                      {formatDate(e.createdAt)}
+                      {e.replayedAt
+                        ? ` · replayed ${formatDate(e.replayedAt)}`
+                        : ""}
+                    </s-table-cell>
+                    <s-table-cell>
+                      <Form method="post">
+                        <input type="hidden" name="eventId" value={e.id} />
+                        <s-button type="submit" loading={replaying}>
+                          Replay
+                        </s-button>
+                      </Form>
+                    </s-table-cell>
+                  </s-table-row>
+                );
+              })}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
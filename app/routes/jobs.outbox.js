@@ -0,0 +1,15 @@
+import { isAuthorizedJobRequest, runJob } from "../jobs.server";
+import { processOutbox } from "../outbox.server";
+
+export const action = async ({ request }) => {
+  if (!isAuthorizedJobRequest(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const run = await runJob("outbox", () => processOutbox());
+
+  return Response.json(
+    { id: run.id, status: run.status, summary: run.summary },
+    { status: run.status === "succeeded" ? 200 : 500 },
+  );
+};
@@ -0,0 +1,15 @@
+import { isAuthorizedJobRequest, runJob } from "../jobs.server";
+import { runPaymentReminders } from "../paymentReminders.server";
+
+export const action = async ({ request }) => {
+  if (!isAuthorizedJobRequest(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const run = await runJob("payment_reminders", () => runPaymentReminders());
+
+  return Response.json(
+    { id: run.id, status: run.status, summary: run.summary },
+    { status: run.status === "succeeded" ? 200 : 500 },
+  );
+};
@@ -0,0 +1,18 @@
+import { isAuthorizedJobRequest, runJob } from "../jobs.server";
+import { syncCityCatalog } from "../postOfficeCities.server";
+
+export const action = async ({ request }) => {
+  if (!isAuthorizedJobRequest(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const shop = new URL(request.url).searchParams.get("shop") || undefined;
+  const run = await runJob("postoffice_cities", () =>
+    syncCityCatalog({ shop }),
+  );
+
+  return Response.json(
+    { id: run.id, status: run.status, summary: run.summary },
+    { status: run.status === "succeeded" ? 200 : 500 },
+  );
+};
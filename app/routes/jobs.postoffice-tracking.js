@@ -0,0 +1,15 @@
+import { isAuthorizedJobRequest, runJob } from "../jobs.server";
+import { runTrackingSync } from "../postOfficeTracking.server";
+
+export const action = async ({ request }) => {
+  if (!isAuthorizedJobRequest(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const run = await runJob("postoffice_tracking", () => runTrackingSync());
+
+  return Response.json(
+    { id: run.id, status: run.status, summary: run.summary },
+    { status: run.status === "succeeded" ? 200 : 500 },
+  );
+};
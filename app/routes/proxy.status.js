@@ -0,0 +1,161 @@
+import { redirect } from "react-router";
+import { authenticate } from "../shopify.server";
+import { issueFreshPaymentLink } from "../paymentLinks.server";
+import { loadPaymentStatus } from "../paymentStatus.server";
+import {
+  paymentStatusPath,
+  verifyPaymentStatusToken,
+} from "../paymentStatusToken.server";
+
+// Storefront page behind the app proxy (PAYMENT_STATUS_PATH). Shopify signs
+// the request; the token from the payment email says which order to show.
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[c],
+  );
+}
+
+function page(liquid, heading, body, status = 200) {
+  return liquid(
+    `<div class="page-width" style="max-width: 36rem; padding: 3rem 0;">
+      <h1>${escapeHtml(heading)}</h1>
+      ${body}
+    </div>`,
+    status,
+  );
+}
+
+function paragraph(text) {
+  return `<p>${escapeHtml(text)}</p>`;
+}
+
+// The token names the shop too; a link only works on its own storefront
+async function authorize(request) {
+  const { liquid, session } = await authenticate.public.appProxy(request);
+  const url = new URL(request.url);
+  const token = url.searchParams.get("token");
+  const claim = verifyPaymentStatusToken(token);
+
+  if (!session || !claim || claim.shop !== session.shop) {
+    return { liquid, claim: null, token };
+  }
+  return { liquid, claim, token };
+}
+
+function invalidLink(liquid) {
+  return page(
+    liquid,
+    "Link not valid",
+    paragraph(
+      "This payment link is invalid or has expired. Please use the link from your latest email or contact us.",
+    ),
+    404,
+  );
+}
+
+export const loader = async ({ request }) => {
+  const { liquid, claim, token } = await authorize(request);
+  if (!claim) return invalidLink(liquid);
+
+  const status = await loadPaymentStatus(claim);
+  if (!status) return invalidLink(liquid);
+
+  const order = status.orderName || `#${claim.orderId}`;
+  const error = new URL(request.url).searchParams.get("error");
+
+  if (status.state === "paid") {
+    return page(
+      liquid,
+      "Payment received",
+      paragraph(
+        status.amount
+          ? `We received your payment of ${status.amount} ${status.currency} for order ${order}. Thank you!`
+          : `Order ${order} is paid. Thank you!`,
+      ),
+    );
+  }
+
+  if (status.state === "refunded") {
+    return page(
+      liquid,
+      "Payment refunded",
+      paragraph(`The payment for order ${order} was refunded.`),
+    );
+  }
+
+  if (status.state === "cancelled") {
+    return page(
+      liquid,
+      "Order cancelled",
+      paragraph(`Order ${order} was cancelled, so no payment is needed.`),
+    );
+  }
+
+  if (status.state === "processing") {
+    return page(
+      liquid,
+      "Payment in progress",
+      paragraph(
+        `Your payment for order ${order} is being processed. Check back in a few minutes.`,
+      ),
+    );
+  }
+
+  const pending = paragraph(
+    status.amount
+      ? `We have not received the payment for order ${order} (${status.amount} ${status.currency}) yet.`
+      : `We have not received the payment for order ${order} yet.`,
+  );
+
+  if (!status.paymentUrl && !status.renewable) {
+    return page(
+      liquid,
+      "Payment pending",
+      `${pending}
+      ${paragraph("Your payment link is on its way by email. Check back in a few minutes.")}`,
+    );
+  }
+
+  return page(
+    liquid,
+    "Payment pending",
+    `${pending}
+    ${error ? paragraph("We could not open the payment page. Please try again in a moment.") : ""}
+    <form method="post" action="${escapeHtml(paymentStatusPath(token))}">
+      <button type="submit" class="button">Pay now</button>
+    </form>`,
+  );
+};
+
+// "Pay now": off to the link that can still be paid. Only once Procard has
+// expired or declined it is a fresh one issued for the current total.
+export const action = async ({ request }) => {
+  const { liquid, claim, token } = await authorize(request);
+  if (!claim) return invalidLink(liquid);
+
+  const back = paymentStatusPath(token);
+  const status = await loadPaymentStatus(claim);
+  if (status?.state !== "unpaid") return redirect(back);
+  if (status.paymentUrl) return redirect(status.paymentUrl);
+  if (!status.renewable) return redirect(back);
+
+  try {
+    const { paymentUrl } = await issueFreshPaymentLink(claim);
+    return redirect(paymentUrl);
+  } catch (e) {
+    console.error("Pay now from the status page failed", {
+      ...claim,
+      error: String(e?.message || e),
+    });
+    return redirect(`${back}&error=1`);
+  }
+};
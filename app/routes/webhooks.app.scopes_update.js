@@ -1,11 +1,5 @@
-import { authenticate } from "../shopify.server";
+import { receiveShopifyWebhook } from "../webhookHandlers.server";
 
 export const action = async ({ request }) => {
-  const { topic } = await authenticate.webhook(request);
-
-  if (topic !== "APP_SCOPES_UPDATE") {
-    return new Response(null, { status: 200 });
-  }
-
-  return new Response(null, { status: 200 });
+  return receiveShopifyWebhook(request, "APP_SCOPES_UPDATE");
 };
@@ -0,0 +1,5 @@
+import { receiveShopifyWebhook } from "../webhookHandlers.server";
+
+export const action = async ({ request }) => {
+  return receiveShopifyWebhook(request, "ORDERS_CANCELLED");
+};
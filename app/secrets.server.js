@@ -0,0 +1,63 @@
+import crypto from "crypto";
+
+/* ---------------- SECRETS AT REST ---------------- */
+
+const PREFIX = "enc:v1:";
+
+// 32 bytes as hex or base64. Rotating it makes saved secrets unreadable, so
+// they have to be entered again in Settings.
+export function settingsEncryptionKey() {
+  const raw = String(process.env.SETTINGS_ENCRYPTION_KEY || "").trim();
+  const key = /^[0-9a-f]{64}$/i.test(raw)
+    ? Buffer.from(raw, "hex")
+    : Buffer.from(raw, "base64");
+
+  if (key.length !== 32) {
+    throw new Error("SETTINGS_ENCRYPTION_KEY must be 32 bytes (hex or base64)");
+  }
+  return key;
+}
+
+export function isEncrypted(stored) {
+  return String(stored || "").startsWith(PREFIX);
+}
+
+export function encryptSecret(value) {
+  if (!value) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    settingsEncryptionKey(),
+    iv,
+  );
+  const data = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return `${PREFIX}${[iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64"))
+    .join(":")}`;
+}
+
+// Values saved before encryption are plain text and returned as they are
+export function decryptSecret(stored) {
+  if (!stored) return null;
+  if (!isEncrypted(stored)) return stored;
+
+  const [iv, tag, data] = stored
+    .slice(PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    settingsEncryptionKey(),
+    iv,
+  );
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8",
+  );
+}
@@ -0,0 +1,296 @@
+// Full paths: scripts/ imports this module under plain node, outside Vite
+import prisma from "./db.server.js";
+import {
+  decryptSecret,
+  encryptSecret,
+  settingsEncryptionKey,
+} from "./secrets.server.js";
+
+/* ---------------- PER-SHOP CONFIG ---------------- */
+
+// Rows written before multi-shop support carry no shop; they belong to the
+// store the app was first deployed for.
+export function legacyShop() {
+  return process.env.SHOPIFY_STORE_DOMAIN || null;
+}
+
+export const SECRET_FIELDS = [
+  "procardSecret",
+  "postOfficeToken",
+  "resendApiKey",
+];
+
+function positiveNumber(value) {
+  const n = Number(value);
+  return value != null && value !== "" && n > 0 ? n : null;
+}
+
+// The env vars hold the first store's accounts; any other shop has only
+// what it saved, so it never books or charges on another store's account.
+export function usesEnvFallback(shop) {
+  return !shop || shop === legacyShop();
+}
+
+// Procard, PostOffice and Resend settings for a shop, falling back to env vars
+// for the legacy shop
+export async function getShopConfig(shop) {
+  const settings = shop
+    ? await prisma.shopSettings.findUnique({ where: { shop } })
+    : null;
+  const env = usesEnvFallback(shop) ? process.env : {};
+
+  return {
+    shop: shop || null,
+    procard: {
+      merchantId: settings?.procardMerchantId || env.PROCARD_MERCHANT_ID,
+      secret: decryptSecret(settings?.procardSecret) || env.PROCARD_SECRET,
+      dispatcherUrl:
+        settings?.procardDispatcherUrl || env.PROCARD_DISPATCHER_URL,
+      refundUrl: settings?.procardRefundUrl || env.PROCARD_REFUND_URL,
+      callbackUrl: settings?.procardCallbackUrl || env.PROCARD_CALLBACK_URL,
+      approveUrl: settings?.procardApproveUrl || env.PROCARD_APPROVE_URL,
+      declineUrl: settings?.procardDeclineUrl || env.PROCARD_DECLINE_URL,
+      cancelUrl: settings?.procardCancelUrl || env.PROCARD_CANCEL_URL,
+    },
+    postOffice: {
+      baseUrl: settings?.postOfficeBaseUrl || env.POSTOFFICE_BASE_URL,
+      token: decryptSecret(settings?.postOfficeToken) || env.POSTOFFICE_TOKEN,
+      defaultWeightKg:
+        positiveNumber(settings?.postOfficeDefaultWeightKg) ??
+        positiveNumber(env.POSTOFFICE_DEFAULT_WEIGHT_KG),
+    },
+    resend: {
+      apiKey: decryptSecret(settings?.resendApiKey) || env.RE_SEND_API_KEY,
+      from: settings?.resendEmailFrom || env.RESEND_EMAIL_FROM,
+    },
+  };
+}
+
+// Procard callbacks carry no shop, only the merchant account
+export async function findShopByProcardMerchant(merchantId) {
+  if (!merchantId) return null;
+  const settings = await prisma.shopSettings.findFirst({
+    where: { procardMerchantId: String(merchantId) },
+  });
+  return settings?.shop || null;
+}
+
+/* ---------------- APP-WIDE CONFIG ---------------- */
+
+// Behaviour shared by every shop, from env vars only; accounts and anything
+// a shop saves come from getShopConfig
+export function appConfig() {
+  const env = process.env;
+
+  return {
+    procard: {
+      retryEmailEnabled: env.PROCARD_RETRY_EMAIL_ENABLED === "true",
+    },
+    postOffice: {
+      defaultWidthCm: positiveNumber(env.POSTOFFICE_DEFAULT_WIDTH_CM) ?? 20,
+      defaultLengthCm: positiveNumber(env.POSTOFFICE_DEFAULT_LENGTH_CM) ?? 20,
+      defaultHeightCm: positiveNumber(env.POSTOFFICE_DEFAULT_HEIGHT_CM) ?? 20,
+      dimensionsNamespace: env.POSTOFFICE_DIMENSIONS_NAMESPACE || "shipping",
+      maxParcelWeightKg: positiveNumber(env.POSTOFFICE_MAX_PARCEL_WEIGHT_KG),
+      maxParcelVolumeCm3: positiveNumber(env.POSTOFFICE_MAX_PARCEL_VOLUME_CM3),
+    },
+  };
+}
+
+/* ---------------- VALIDATION ---------------- */
+
+// What each integration cannot work without, with the env var it falls back to
+const REQUIRED_SETTINGS = {
+  procard: {
+    merchantId: "PROCARD_MERCHANT_ID",
+    secret: "PROCARD_SECRET",
+    dispatcherUrl: "PROCARD_DISPATCHER_URL",
+    callbackUrl: "PROCARD_CALLBACK_URL",
+  },
+  postOffice: {
+    baseUrl: "POSTOFFICE_BASE_URL",
+    token: "POSTOFFICE_TOKEN",
+  },
+  resend: {
+    apiKey: "RE_SEND_API_KEY",
+    from: "RESEND_EMAIL_FROM",
+  },
+};
+
+const URL_SETTINGS = [
+  "PROCARD_DISPATCHER_URL",
+  "PROCARD_REFUND_URL",
+  "PROCARD_CALLBACK_URL",
+  "PROCARD_APPROVE_URL",
+  "PROCARD_DECLINE_URL",
+  "PROCARD_CANCEL_URL",
+  "POSTOFFICE_BASE_URL",
+];
+
+const NUMBER_SETTINGS = [
+  "POSTOFFICE_DEFAULT_WEIGHT_KG",
+  "POSTOFFICE_DEFAULT_WIDTH_CM",
+  "POSTOFFICE_DEFAULT_LENGTH_CM",
+  "POSTOFFICE_DEFAULT_HEIGHT_CM",
+  "POSTOFFICE_MAX_PARCEL_WEIGHT_KG",
+  "POSTOFFICE_MAX_PARCEL_VOLUME_CM3",
+];
+
+export class ShopConfigError extends Error {
+  constructor(shop, missing) {
+    super(
+      `Settings incomplete for ${shop || "the default shop"}: missing ${missing.join(", ")}`,
+    );
+    this.name = "ShopConfigError";
+    this.missing = missing;
+  }
+}
+
+function isUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export function missingSettings(config, sections) {
+  return sections.flatMap((section) =>
+    Object.keys(REQUIRED_SETTINGS[section])
+      .filter((key) => !config[section]?.[key])
+      .map((key) => `${section}.${key}`),
+  );
+}
+
+// The settings a webhook depends on; throws a ShopConfigError naming every
+// missing value rather than failing halfway through the handler
+export async function loadShopConfig(shop, sections) {
+  const config = await getShopConfig(shop);
+  const missing = missingSettings(config, sections);
+  if (missing.length) throw new ShopConfigError(shop, missing);
+  return config;
+}
+
+// Checked once when the server starts. A half-set env fallback or a bad key
+// stops the app here. An integration with no env vars at all is allowed: the
+// legacy shop then configures it in Settings like any other shop, and its
+// webhooks fail with a ShopConfigError until it does. That case is only
+// logged.
+export function assertStartupConfig() {
+  const env = process.env;
+  const problems = [];
+  const withoutFallback = [];
+
+  try {
+    settingsEncryptionKey();
+  } catch (e) {
+    problems.push(e.message);
+  }
+
+  for (const [section, names] of Object.entries(REQUIRED_SETTINGS)) {
+    const vars = Object.values(names);
+    const unset = vars.filter((name) => !env[name]);
+    if (unset.length === vars.length) {
+      withoutFallback.push(section);
+    } else if (unset.length) {
+      problems.push(
+        `${unset.join(", ")} missing while ${vars
+          .filter((name) => env[name])
+          .join(", ")} is set`,
+      );
+    }
+  }
+
+  for (const name of URL_SETTINGS) {
+    if (env[name] && !isUrl(env[name])) problems.push(`${name} is not a URL`);
+  }
+
+  for (const name of NUMBER_SETTINGS) {
+    if (env[name] && !positiveNumber(env[name])) {
+      problems.push(`${name} must be a positive number`);
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid app configuration:\n  ${problems.join("\n  ")}`);
+  }
+  if (withoutFallback.length && legacyShop()) {
+    console.warn("No env fallback; the legacy shop must use Settings", {
+      shop: legacyShop(),
+      integrations: withoutFallback,
+    });
+  }
+}
+
+/* ---------------- SETTINGS PAGE ---------------- */
+
+const TEXT_FIELDS = {
+  procardMerchantId: "Procard merchant ID",
+  procardDispatcherUrl: "Procard dispatcher URL",
+  procardRefundUrl: "Procard refund URL",
+  procardCallbackUrl: "Procard callback URL",
+  procardApproveUrl: "Procard approve URL",
+  procardDeclineUrl: "Procard decline URL",
+  procardCancelUrl: "Procard cancel URL",
+  postOfficeBaseUrl: "PostOffice base URL",
+  resendEmailFrom: "Resend sender",
+};
+
+// What the page may show: saved values, never the secrets themselves
+export async function readShopSettings(shop) {
+  const settings = await prisma.shopSettings.findUnique({ where: { shop } });
+
+  const values = {};
+  for (const field of Object.keys(TEXT_FIELDS)) {
+    values[field] = settings?.[field] || "";
+  }
+  values.postOfficeDefaultWeightKg =
+    settings?.postOfficeDefaultWeightKg?.toString() || "";
+
+  const secrets = {};
+  for (const field of SECRET_FIELDS)
+    secrets[field] = Boolean(settings?.[field]);
+
+  return { values, secrets, envFallback: usesEnvFallback(shop) };
+}
+
+// Returns { data, errors }. Blank secrets keep what is saved; "clear" removes.
+export function parseShopSettingsForm(formData) {
+  const errors = [];
+  const data = {};
+
+  for (const [field, label] of Object.entries(TEXT_FIELDS)) {
+    const value = String(formData.get(field) || "").trim();
+    if (value && field.endsWith("Url") && !isUrl(value)) {
+      errors.push(`${label} is not a URL`);
+    }
+    data[field] = value || null;
+  }
+
+  const weight = String(formData.get("postOfficeDefaultWeightKg") || "").trim();
+  if (weight && !positiveNumber(weight)) {
+    errors.push("Default parcel weight must be a positive number");
+  }
+  data.postOfficeDefaultWeightKg = weight ? Number(weight) : null;
+
+  for (const field of SECRET_FIELDS) {
+    const value = String(formData.get(field) || "").trim();
+    if (formData.get(`${field}Clear`) === "on") data[field] = null;
+    else if (value) data[field] = value;
+  }
+
+  return { data, errors };
+}
+
+export async function saveShopSettings(shop, data) {
+  const encrypted = { ...data };
+  for (const field of SECRET_FIELDS) {
+    if (encrypted[field]) encrypted[field] = encryptSecret(encrypted[field]);
+  }
+
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    create: { ...encrypted, shop },
+    update: encrypted,
+  });
+}
@@ -0,0 +1,114 @@
+import { legacyShop } from "./shopConfig.server";
+import { unauthenticated } from "./shopify.server";
+
+const API_VERSION = "2025-01";
+
+/* ---------------- SHOPIFY ORDERS (REST) ---------------- */
+
+// Talks to the shop with the offline session stored at install time
+export async function shopifyRest(shop, path, { method = "GET", body } = {}) {
+  const domain = shop || legacyShop();
+  if (!domain) throw new Error("No shop to call the Admin API for");
+
+  const { session } = await unauthenticated.admin(domain);
+
+  const res = await fetch(
+    `https://${session.shop}/admin/api/${API_VERSION}${path}`,
+    {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": session.accessToken,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    },
+  );
+
+  const text = await res.text();
+  const json = text ? JSON.parse(text) : null;
+
+  if (!res.ok) {
+    console.error("Shopify REST error", {
+      shop: session.shop,
+      status: res.status,
+      json,
+    });
+    throw new Error(`Shopify REST failed: ${res.status}`);
+  }
+  return json;
+}
+
+export async function shopifyGraphql(shop, query, variables = {}) {
+  const json = await shopifyRest(shop, "/graphql.json", {
+    method: "POST",
+    body: { query, variables },
+  });
+
+  if (json?.errors?.length) {
+    console.error("Shopify GraphQL error", { errors: json.errors });
+    throw new Error("Shopify GraphQL failed");
+  }
+  return json?.data;
+}
+
+export function splitTags(tags) {
+  return String(tags || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+export async function tagOrder(
+  shop,
+  orderIdNumeric,
+  extraTags,
+  removeTags = [],
+) {
+  const current = await shopifyRest(shop, `/orders/${orderIdNumeric}.json`);
+  const nextTags = Array.from(
+    new Set([...splitTags(current?.order?.tags), ...extraTags]),
+  )
+    .filter((t) => !removeTags.includes(t))
+    .join(", ");
+
+  await shopifyRest(shop, `/orders/${orderIdNumeric}.json`, {
+    method: "PUT",
+    body: { order: { id: orderIdNumeric, tags: nextTags } },
+  });
+
+  return splitTags(nextTags);
+}
+
+export async function appendOrderNote(shop, orderIdNumeric, line) {
+  const current = await shopifyRest(shop, `/orders/${orderIdNumeric}.json`);
+  const note = [current?.order?.note, line].filter(Boolean).join("\n");
+
+  await shopifyRest(shop, `/orders/${orderIdNumeric}.json`, {
+    method: "PUT",
+    body: { order: { id: orderIdNumeric, note } },
+  });
+}
+
+export async function setPaymentUrlAttribute(shop, orderIdNumeric, paymentUrl) {
+  const current = await shopifyRest(shop, `/orders/${orderIdNumeric}.json`);
+  const order = current?.order;
+
+  const existing = Array.isArray(order?.note_attributes)
+    ? order.note_attributes
+    : [];
+  const note_attributes = [
+    ...existing.filter((a) => a?.name !== "procard_payment_url"),
+    { name: "procard_payment_url", value: paymentUrl },
+  ];
+
+  const tags = Array.from(
+    new Set([...splitTags(order?.tags), "procard_link_sent"]),
+  )
+    .filter((t) => !["procard_expired", "procard_declined"].includes(t))
+    .join(", ");
+
+  await shopifyRest(shop, `/orders/${orderIdNumeric}.json`, {
+    method: "PUT",
+    body: { order: { id: orderIdNumeric, tags, note_attributes } },
+  });
+}
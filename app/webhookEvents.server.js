@@ -0,0 +1,178 @@
+import prisma from "./db.server";
+
+/* ---------------- WEBHOOK EVENT LOG ---------------- */
+
+export const WEBHOOK_STATUS = {
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+};
+
+// A delivery still "processing" after this long died with its worker
+const STALE_PROCESSING = 10 * 60 * 1000;
+
+// Results are kept for debugging, not as an archive
+const MAX_RESULT_LENGTH = 2000;
+
+const HEADER_PREFIXES = ["x-shopify-", "x-forwarded-for", "user-agent"];
+
+function pickHeaders(headers) {
+  const picked = {};
+  for (const [name, value] of headers.entries()) {
+    if (name === "x-shopify-hmac-sha256") continue;
+    if (HEADER_PREFIXES.some((p) => name.startsWith(p))) picked[name] = value;
+  }
+  return picked;
+}
+
+function toJson(value) {
+  return JSON.parse(JSON.stringify(value ?? {}));
+}
+
+// Shopify's event id survives retries and duplicate subscriptions; the
+// webhook id is only stable across retries of one delivery.
+export function shopifyWebhookKey(request, { topic, webhookId }) {
+  const eventId = request.headers.get("x-shopify-event-id");
+  return {
+    webhookId: webhookId || null,
+    eventId: eventId || null,
+    dedupeKey: `shopify:${topic}:${eventId || webhookId}`,
+  };
+}
+
+// Returns the event to process, or null when it was already handled (or is
+// being handled right now).
+async function claimWebhookEvent(data) {
+  try {
+    return {
+      event: await prisma.webhookEvent.create({
+        data: { ...data, attempts: 1 },
+      }),
+    };
+  } catch (e) {
+    if (e?.code !== "P2002") throw e;
+  }
+
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { dedupeKey: data.dedupeKey },
+  });
+  const inFlight =
+    existing.status === WEBHOOK_STATUS.PROCESSING &&
+    Date.now() - existing.updatedAt.getTime() < STALE_PROCESSING;
+
+  if (existing.status === WEBHOOK_STATUS.PROCESSED || inFlight) {
+    await prisma.webhookEvent.update({
+      where: { id: existing.id },
+      data: { deliveries: { increment: 1 } },
+    });
+    return { event: null, inFlight };
+  }
+
+  // A failed (or abandoned) earlier delivery: this one takes it over
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: { id: existing.id, updatedAt: existing.updatedAt },
+    data: {
+      status: WEBHOOK_STATUS.PROCESSING,
+      deliveries: { increment: 1 },
+      attempts: { increment: 1 },
+    },
+  });
+  return count === 1 ? { event: existing } : { event: null, inFlight: true };
+}
+
+async function finishWebhookEvent(event, response, data = {}) {
+  const result = await response
+    .clone()
+    .text()
+    .catch(() => "");
+
+  await prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: {
+      ...data,
+      status: response.ok ? WEBHOOK_STATUS.PROCESSED : WEBHOOK_STATUS.FAILED,
+      responseStatus: response.status,
+      result: result.slice(0, MAX_RESULT_LENGTH) || null,
+      processedAt: new Date(),
+    },
+  });
+}
+
+async function runHandler(event, handler) {
+  try {
+    return await handler({
+      shop: event.shop,
+      topic: event.topic,
+      payload: event.payload,
+    });
+  } catch (e) {
+    console.error("Webhook handler threw", {
+      id: event.id,
+      topic: event.topic,
+      error: String(e),
+    });
+    return new Response(String(e?.message || e), { status: 500 });
+  }
+}
+
+// Stores the delivery, skips it when the event was already processed and
+// otherwise runs handler({ shop, topic, payload }) → Response.
+export async function receiveWebhook(
+  request,
+  { source, shop, topic, payload, dedupeKey, webhookId, eventId },
+  handler,
+) {
+  const { event, inFlight } = await claimWebhookEvent({
+    source,
+    shop: shop || null,
+    topic,
+    dedupeKey,
+    webhookId: webhookId || null,
+    eventId: eventId || null,
+    headers: pickHeaders(request.headers),
+    payload: toJson(payload),
+  });
+
+  if (!event) {
+    console.log("Duplicate webhook → skip", { topic, dedupeKey, inFlight });
+    // The sender retries later in case the in-flight delivery fails
+    return new Response(null, { status: inFlight ? 409 : 200 });
+  }
+
+  const response = await runHandler(event, handler);
+  await finishWebhookEvent(event, response);
+  return response;
+}
+
+// Runs a stored event again, whatever its status, e.g. after a bug fix
+export async function replayWebhookEvent(event, handler) {
+  await prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: { status: WEBHOOK_STATUS.PROCESSING, attempts: { increment: 1 } },
+  });
+
+  const response = await runHandler(event, handler);
+  await finishWebhookEvent(event, response, { replayedAt: new Date() });
+  return response;
+}
+
+export async function findWebhookEvent(shop, id) {
+  return prisma.webhookEvent.findFirst({ where: { id, shop } });
+}
+
+export async function listRecentWebhookEvents({
+  shop,
+  status,
+  topic,
+  take = 50,
+}) {
+  return prisma.webhookEvent.findMany({
+    where: {
+      shop,
+      ...(status ? { status } : {}),
+      ...(topic ? { topic } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
@@ -0,0 +1,174 @@
+import prisma from "./db.server";
+import { handleOrderCancelled } from "./orderCancellation.server";
+import { enqueue, kickOutbox } from "./outbox.server";
+import {
+  findLinksOutdatedByEdit,
+  invalidateOutdatedLinks,
+} from "./paymentLinks.server";
+import { matchPaymentRule } from "./paymentRules.server";
+import {
+  PROCARD_CALLBACK_TOPIC,
+  handleProcardCallback,
+} from "./procardCallback.server";
+import {
+  initialProcardReference,
+  nextProcardReference,
+} from "./procardReferences.server";
+import { handleRefundCreated } from "./procardRefunds.server";
+import { loadShopConfig } from "./shopConfig.server";
+import { authenticate } from "./shopify.server";
+import {
+  findWebhookEvent,
+  receiveWebhook,
+  replayWebhookEvent,
+  shopifyWebhookKey,
+} from "./webhookEvents.server";
+
+/* ---------------- SHOPIFY WEBHOOK HANDLERS ---------------- */
+
+async function handleOrderCreated({ shop, payload }) {
+  try {
+    const orderId = String(payload?.id || "");
+    const match = await matchPaymentRule(shop, payload);
+    if (!match.rule) {
+      console.log("No payment rule matched → skip", {
+        orderId,
+        gateways: payload?.payment_gateway_names,
+        skipped: match.skipped,
+      });
+      return new Response(null, { status: 200 });
+    }
+    console.log("Payment rule matched", { orderId, rule: match.rule.name });
+
+    // Fails the delivery (and Shopify retries) until Settings are complete
+    await loadShopConfig(shop, ["procard", "resend"]);
+
+    const { reference } = await initialProcardReference({
+      shop,
+      order: payload,
+    });
+
+    // Dispatcher, order attribute and email run from the outbox so a slow
+    // or failing dependency is retried instead of lost
+    const job = await enqueue({
+      shop,
+      orderId,
+      kind: "procard_link",
+      payload: { order: payload, orderReference: reference },
+      dedupeKey: `procard_link:${shop}:${orderId}`,
+    });
+    kickOutbox([job]);
+
+    return new Response(null, { status: 200 });
+  } catch (e) {
+    console.error("Webhook error:", e);
+    return new Response(null, { status: 500 });
+  }
+}
+
+// The corrected link is queued before the old ones are invalidated, so a
+// failure in between leaves them open and Shopify's retry finds the edit
+// again. The job is keyed on the newest outdated link: every delivery of
+// the same edit queues it once.
+async function handleOrderUpdated({ shop, payload }) {
+  try {
+    const edit = await findLinksOutdatedByEdit(payload);
+    if (!edit) return new Response(null, { status: 200 });
+
+    let job = null;
+    if (!edit.current) {
+      const { reference } = await nextProcardReference({
+        shop,
+        order: payload,
+      });
+      job = await enqueue({
+        shop,
+        orderId: String(payload.id),
+        kind: "procard_link",
+        payload: { orderReference: reference, emailTemplate: "updated" },
+        dedupeKey: `procard_link:${shop}:relink:${edit.outdated[0].id}`,
+      });
+    }
+
+    await invalidateOutdatedLinks(payload, edit);
+    kickOutbox([job]);
+
+    return new Response(null, { status: 200 });
+  } catch (e) {
+    console.error("Error relinking edited order", e);
+    return new Response(null, { status: 500 });
+  }
+}
+
+async function handleOrderFulfilled({ shop, payload }) {
+  try {
+    await loadShopConfig(shop, ["postOffice"]);
+
+    const job = await enqueue({
+      shop,
+      orderId: payload?.id,
+      kind: "postoffice_insert",
+      payload: { order: payload, source: "orders_fulfilled" },
+      dedupeKey: `postoffice_insert:${shop}:${payload?.id}:orders_fulfilled`,
+    });
+    kickOutbox([job]);
+
+    return new Response(null, { status: 200 });
+  } catch (e) {
+    console.error("Error queueing PostOffice bulk-insert", e);
+    return new Response(null, { status: 500 });
+  }
+}
+
+async function handleAppUninstalled({ shop }) {
+  await prisma.session.deleteMany({ where: { shop } });
+  return new Response(null, { status: 200 });
+}
+
+async function handleScopesUpdate() {
+  return new Response(null, { status: 200 });
+}
+
+// Keyed by the topic stored on the event, so stored events can be replayed
+export const WEBHOOK_HANDLERS = {
+  ORDERS_CREATE: handleOrderCreated,
+  ORDERS_UPDATED: handleOrderUpdated,
+  ORDERS_CANCELLED: handleOrderCancelled,
+  ORDERS_FULFILLED: handleOrderFulfilled,
+  REFUNDS_CREATE: handleRefundCreated,
+  APP_UNINSTALLED: handleAppUninstalled,
+  APP_SCOPES_UPDATE: handleScopesUpdate,
+  [PROCARD_CALLBACK_TOPIC]: handleProcardCallback,
+};
+
+// Authenticates a Shopify delivery, logs it and runs the topic's handler
+export async function receiveShopifyWebhook(request, expectedTopic) {
+  const { topic, shop, payload, webhookId } =
+    await authenticate.webhook(request);
+  console.log("WEBHOOK HIT:", topic);
+
+  if (topic !== expectedTopic) return new Response(null, { status: 200 });
+
+  return receiveWebhook(
+    request,
+    {
+      source: "shopify",
+      shop,
+      topic,
+      payload,
+      ...shopifyWebhookKey(request, { topic, webhookId }),
+    },
+    WEBHOOK_HANDLERS[topic],
+  );
+}
+
+export async function replayWebhook(shop, id) {
+  const event = await findWebhookEvent(shop, id);
+  if (!event) throw new Error("Webhook event not found");
+
+  const handler = WEBHOOK_HANDLERS[event.topic];
+  if (!handler) throw new Error(`No handler for ${event.topic}`);
+
+  const response = await replayWebhookEvent(event, handler);
+  return { ok: response.ok, status: response.status };
+}
@@ -0,0 +1,282 @@
+import { spawn, spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import { readFileSync } from "node:fs";
+import net from "node:net";
+import { PrismaClient } from "@prisma/client";
+import { startPostOffice } from "./mocks/postOffice.js";
+import { startProcard } from "./mocks/procard.js";
+import { startResend } from "./mocks/resend.js";
+import { startShopify } from "./mocks/shopify.js";
+
+/* ---------------- E2E HARNESS ---------------- */
+
+export const SHOP = "e2e-shop.myshopify.com";
+
+const SECRETS = {
+  shopifyApiSecret: "e2e-shopify-secret",
+  accessToken: "shpat_e2e",
+  procardMerchantId: "e2e_merchant",
+  procardSecret: "e2e-procard-secret",
+  postOfficeToken: "e2e-postoffice-token",
+  resendApiKey: "re_e2e",
+  jobsSecret: "e2e-jobs-secret",
+  settingsKey: "0123456789abcdef".repeat(4),
+};
+
+export function fixture(name) {
+  return JSON.parse(
+    readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"),
+  );
+}
+
+// The suite wipes every table it touches, so it only ever runs against a
+// database named explicitly for it.
+export function e2eDatabaseUrl() {
+  return process.env.E2E_DATABASE_URL || null;
+}
+
+async function resetDatabase(prisma) {
+  const tables = await prisma.$queryRaw`
+    SELECT tablename FROM pg_tables
+    WHERE schemaname = current_schema() AND tablename <> '_prisma_migrations'`;
+  if (!tables.length) return;
+
+  const list = tables.map((t) => `"${t.tablename}"`).join(", ");
+  await prisma.$executeRawUnsafe(`TRUNCATE ${list} CASCADE`);
+}
+
+async function waitForServer(url, child, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`App exited with code ${child.exitCode}`);
+    }
+    try {
+      await fetch(url, { redirect: "manual" });
+      return;
+    } catch {
+      await new Promise((r) => setTimeout(r, 250));
+    }
+  }
+  throw new Error(`App did not start within ${timeoutMs}ms`);
+}
+
+// A port nothing listens on right now, picked by the OS
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Polls until fn() returns something truthy; async flows (the outbox) settle
+// a moment after the webhook has been acknowledged.
+export async function waitFor(
+  fn,
+  { timeoutMs = 10000, label = "condition" } = {},
+) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const value = await fn();
+    if (value) return value;
+    await new Promise((r) => setTimeout(r, 200));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+}
+
+// Starts the stand-ins and the built app wired to them
+export async function startEnvironment({ orders = [fixture("order")] } = {}) {
+  const databaseUrl = e2eDatabaseUrl();
+  if (!databaseUrl)
+    throw new Error("Set E2E_DATABASE_URL to run the e2e suite");
+
+  const [shopify, procard, postOffice, resend] = await Promise.all([
+    startShopify({ accessToken: SECRETS.accessToken, orders }),
+    startProcard({
+      merchantId: SECRETS.procardMerchantId,
+      secret: SECRETS.procardSecret,
+    }),
+    startPostOffice({ token: SECRETS.postOfficeToken }),
+    startResend({ apiKey: SECRETS.resendApiKey }),
+  ]);
+
+  const mocks = [shopify, procard, postOffice, resend];
+  const port = await freePort();
+  const appUrl = `http://127.0.0.1:${port}`;
+  let prisma;
+  let app;
+
+  try {
+    const migrate = spawnSync(
+      process.execPath,
+      ["node_modules/prisma/build/index.js", "migrate", "deploy"],
+      {
+        env: { ...process.env, DATABASE_URL: databaseUrl },
+        stdio: "inherit",
+      },
+    );
+    if (migrate.status !== 0) throw new Error("prisma migrate deploy failed");
+
+    prisma = new PrismaClient({ datasourceUrl: databaseUrl });
+    await resetDatabase(prisma);
+
+    // Offline session as stored at install time
+    await prisma.session.create({
+      data: {
+        id: `offline_${SHOP}`,
+        shop: SHOP,
+        state: "",
+        isOnline: false,
+        scope: "read_orders,write_orders",
+        accessToken: SECRETS.accessToken,
+      },
+    });
+
+    // Spawned directly (not through npx) so kill() stops the server itself
+    app = spawn(
+      process.execPath,
+      [
+        "--import",
+        new URL("./redirectFetch.js", import.meta.url).href,
+        "node_modules/@react-router/serve/bin.js",
+        "./build/server/index.js",
+      ],
+      {
+        env: {
+          ...process.env,
+          NODE_ENV: "production",
+          PORT: String(port),
+          DATABASE_URL: databaseUrl,
+          SHOPIFY_API_KEY: "e2e-api-key",
+          SHOPIFY_API_SECRET: SECRETS.shopifyApiSecret,
+          SHOPIFY_APP_URL: appUrl,
+          SHOPIFY_STORE_DOMAIN: SHOP,
+          PROCARD_MERCHANT_ID: SECRETS.procardMerchantId,
+          PROCARD_SECRET: SECRETS.procardSecret,
+          PROCARD_DISPATCHER_URL: procard.dispatcherUrl,
+          PROCARD_REFUND_URL: procard.refundUrl,
+          PROCARD_CALLBACK_URL: `${appUrl}/webhooks/procard/callback`,
+          PROCARD_CURRENCIES: "EUR",
+          POSTOFFICE_BASE_URL: postOffice.url,
+          POSTOFFICE_TOKEN: SECRETS.postOfficeToken,
+          RE_SEND_API_KEY: SECRETS.resendApiKey,
+          RESEND_EMAIL_FROM: "Erina Home <shop@example.test>",
+          JOBS_SECRET: SECRETS.jobsSecret,
+          SETTINGS_ENCRYPTION_KEY: SECRETS.settingsKey,
+          OUTBOX_BACKOFF_SECONDS: "1",
+          E2E_FETCH_REDIRECTS: JSON.stringify({
+            [`https://${SHOP}`]: shopify.url,
+            "https://api.resend.com": resend.url,
+          }),
+        },
+        stdio: process.env.E2E_APP_LOGS ? "inherit" : "ignore",
+      },
+    );
+
+    await waitForServer(appUrl, app);
+  } catch (e) {
+    app?.kill();
+    await prisma?.$disconnect();
+    await Promise.all(mocks.map((m) => m.close()));
+    throw e;
+  }
+
+  return {
+    appUrl,
+    prisma,
+    shopify,
+    procard,
+    postOffice,
+    resend,
+
+    // Delivers a webhook the way Shopify does, HMAC and headers included
+    async sendShopifyWebhook(topic, payload, { eventId } = {}) {
+      const body = JSON.stringify(payload);
+      const hmac = crypto
+        .createHmac("sha256", SECRETS.shopifyApiSecret)
+        .update(body, "utf8")
+        .digest("base64");
+
+      return fetch(`${appUrl}${webhookPath(topic)}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Shopify-Topic": topic,
+          "X-Shopify-Shop-Domain": SHOP,
+          "X-Shopify-API-Version": "2026-01",
+          "X-Shopify-Hmac-Sha256": hmac,
+          "X-Shopify-Webhook-Id": crypto.randomUUID(),
+          "X-Shopify-Event-Id": eventId || crypto.randomUUID(),
+          "X-Shopify-Triggered-At": new Date().toISOString(),
+        },
+        body,
+      });
+    },
+
+    async sendProcardCallback(callback) {
+      return procard.postCallback(
+        `${appUrl}/webhooks/procard/callback`,
+        procard.callback(callback),
+      );
+    },
+
+    // A storefront request forwarded by the app proxy, signed like Shopify's
+    async sendAppProxyRequest(path, params, { method = "GET" } = {}) {
+      const query = {
+        ...params,
+        shop: SHOP,
+        path_prefix: "/apps/payment",
+        timestamp: String(Math.floor(Date.now() / 1000)),
+      };
+      const message = Object.keys(query)
+        .sort()
+        .map((key) => `${key}=${query[key]}`)
+        .join("");
+      const signature = crypto
+        .createHmac("sha256", SECRETS.shopifyApiSecret)
+        .update(message)
+        .digest("hex");
+
+      const search = new URLSearchParams({ ...query, signature });
+      return fetch(`${appUrl}/proxy${path}?${search}`, {
+        method,
+        redirect: "manual",
+      });
+    },
+
+    // What the external scheduler does
+    async runJob(path) {
+      const res = await fetch(`${appUrl}/jobs/${path}`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${SECRETS.jobsSecret}` },
+      });
+      return { status: res.status, json: await res.json().catch(() => null) };
+    },
+
+    async stop() {
+      app.kill();
+      await prisma.$disconnect();
+      await Promise.all(mocks.map((m) => m.close()));
+    },
+  };
+}
+
+const WEBHOOK_PATHS = {
+  "orders/create": "/webhooks/orders_create/procard",
+  "orders/updated": "/webhooks/orders/updated",
+  "orders/cancelled": "/webhooks/orders/cancelled",
+  "orders/fulfilled": "/webhooks/orders/fulfilled",
+  "refunds/create": "/webhooks/refunds/create",
+};
+
+function webhookPath(topic) {
+  const path = WEBHOOK_PATHS[topic];
+  if (!path) throw new Error(`No route for webhook topic ${topic}`);
+  return path;
+}
@@ -0,0 +1,71 @@
+import { startMockServer } from "./server.js";
+
+/* ---------------- FAKE POSTOFFICE ---------------- */
+
+const BULK_INSERT = "/api/order/bulk-insert";
+const CANCEL = "/api/order/cancel/";
+
+// bulk-insert answers one entry per parcel. Queue behaviours on `script`
+// to exercise failures and redirects (bulk-insert and cancel alike):
+//   { status: 500, body: "down" }   fail the next call
+//   { redirect: 307 }               send the next call to /v2 first
+export async function startPostOffice({ token }) {
+  const script = [];
+  let nextId = 1000;
+
+  const mock = await startMockServer("postoffice", (req) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return { status: 401, body: "Unauthorized" };
+    }
+
+    if (req.method === "GET" && req.path.startsWith("/api/city/list/")) {
+      return { status: 200, body: [] };
+    }
+
+    if (req.method === "POST" && req.path.startsWith(CANCEL)) {
+      const step = script.shift();
+      if (step) return { status: step.status, body: step.body };
+      return { status: 200, body: { success: true } };
+    }
+
+    if (
+      req.method !== "POST" ||
+      ![BULK_INSERT, `/v2${BULK_INSERT}`].includes(req.path)
+    ) {
+      return { status: 404 };
+    }
+
+    const step = script.shift();
+    if (step?.redirect) {
+      return {
+        status: step.redirect,
+        headers: { Location: `/v2${BULK_INSERT}` },
+      };
+    }
+    if (step) return { status: step.status, body: step.body };
+
+    const parcels = Array.isArray(req.body) ? req.body : [req.body];
+    return {
+      status: 200,
+      body: parcels.map((p) => {
+        const id = nextId++;
+        return { Id: id, Refid: p?.Refid, Barcode: `PO${id}XK` };
+      }),
+    };
+  });
+
+  return {
+    ...mock,
+    script,
+    bulkInserts() {
+      return mock.requests.filter(
+        (r) => r.method === "POST" && r.path.endsWith(BULK_INSERT),
+      );
+    },
+    cancels() {
+      return mock.requests.filter(
+        (r) => r.method === "POST" && r.path.startsWith(CANCEL),
+      );
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import crypto from "node:crypto";
+import { startMockServer } from "./server.js";
+
+/* ---------------- FAKE PROCARD ---------------- */
+
+// Signed independently of app/procard.server.js so a change to the app's
+// signing is caught here instead of agreeing with itself.
+function sign(secret, parts) {
+  return crypto
+    .createHmac("sha512", secret)
+    .update(parts.join(";"), "utf8")
+    .digest("hex");
+}
+
+// Dispatcher (Purchase) and refund endpoint. `nextResults` lets a test make
+// the next calls reject, e.g. [{ result: 1 }].
+export async function startProcard({ merchantId, secret }) {
+  const nextResults = [];
+
+  const mock = await startMockServer("procard", (req) => {
+    if (req.method !== "POST") return { status: 405 };
+
+    const body = req.body || {};
+    const expected = sign(secret, [
+      body.merchant_id,
+      body.order_id,
+      body.amount,
+      body.currency_iso,
+      body.description,
+    ]);
+    if (body.merchant_id !== merchantId) {
+      return { status: 200, body: { result: 1, message: "Unknown merchant" } };
+    }
+    if (body.signature !== expected) {
+      return { status: 200, body: { result: 2, message: "Bad signature" } };
+    }
+
+    const scripted = nextResults.shift();
+    if (scripted) return { status: 200, body: scripted };
+
+    if (req.path === "/dispatcher") {
+      return {
+        status: 200,
+        body: {
+          result: 0,
+          url: `https://pay.procard.test/${encodeURIComponent(body.order_id)}`,
+        },
+      };
+    }
+    if (req.path === "/refund") {
+      return { status: 200, body: { result: 0 } };
+    }
+    return { status: 404 };
+  });
+
+  return {
+    ...mock,
+    dispatcherUrl: `${mock.url}/dispatcher`,
+    refundUrl: `${mock.url}/refund`,
+    nextResults,
+
+    // A callback body as Procard posts it, signed with the merchant secret
+    callback({ orderReference, amount, currency, transactionStatus, ...rest }) {
+      return {
+        merchantAccount: merchantId,
+        orderReference,
+        amount,
+        currency,
+        transactionStatus,
+        transactionId: `tx-${orderReference}-${transactionStatus}`,
+        ...rest,
+        merchantSignature: sign(secret, [
+          merchantId,
+          orderReference,
+          Number(amount).toString(),
+          currency,
+        ]),
+      };
+    },
+
+    async postCallback(callbackUrl, body) {
+      return fetch(callbackUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    },
+  };
+}
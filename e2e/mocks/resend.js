@@ -0,0 +1,24 @@
+import { startMockServer } from "./server.js";
+
+/* ---------------- FAKE RESEND ---------------- */
+
+export async function startResend({ apiKey }) {
+  let nextId = 1;
+
+  const mock = await startMockServer("resend", (req) => {
+    if (req.headers.authorization !== `Bearer ${apiKey}`) {
+      return { status: 401, body: { message: "Invalid API key" } };
+    }
+    if (req.method !== "POST" || req.path !== "/emails") {
+      return { status: 404 };
+    }
+    return { status: 200, body: { id: `email_${nextId++}` } };
+  });
+
+  return {
+    ...mock,
+    emails() {
+      return mock.requestsTo("/emails", "POST").map((r) => r.body);
+    },
+  };
+}
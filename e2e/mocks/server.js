@@ -0,0 +1,74 @@
+import http from "node:http";
+
+/* ---------------- STAND-IN SERVER ---------------- */
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Starts an HTTP server on a free port that records every request and
+// answers with handler(req) → { status, headers, body }.
+export async function startMockServer(name, handler) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: await readBody(req),
+    };
+    requests.push(request);
+
+    let reply;
+    try {
+      reply = (await handler(request)) || { status: 404 };
+    } catch (e) {
+      reply = { status: 500, body: { error: String(e?.message || e) } };
+    }
+
+    const body =
+      reply.body === undefined
+        ? ""
+        : typeof reply.body === "string"
+          ? reply.body
+          : JSON.stringify(reply.body);
+    res.writeHead(reply.status || 200, {
+      "Content-Type": "application/json",
+      ...reply.headers,
+    });
+    res.end(body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    name,
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    // Requests to one path, optionally narrowed by method
+    requestsTo(path, method) {
+      return requests.filter(
+        (r) => r.path === path && (!method || r.method === method),
+      );
+    },
+    reset() {
+      requests.length = 0;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
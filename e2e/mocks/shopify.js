@@ -0,0 +1,102 @@
+import { startMockServer } from "./server.js";
+
+/* ---------------- FAKE SHOPIFY ADMIN (REST) ---------------- */
+
+const PREFIX = /^\/admin\/api\/[^/]+/;
+
+// Just enough of the Admin REST API for the payment and shipping flows:
+// orders (read, update tags/note/attributes, search by name), transactions,
+// variants, metafields, fulfillments and fulfillment orders. GraphQL calls get an empty answer.
+export async function startShopify({ accessToken, orders = [] }) {
+  const state = {
+    orders: new Map(orders.map((o) => [String(o.id), structuredClone(o)])),
+    transactions: new Map(),
+  };
+  let nextId = 9000;
+
+  const mock = await startMockServer("shopify", (req) => {
+    if (req.headers["x-shopify-access-token"] !== accessToken) {
+      return { status: 401, body: { errors: "Invalid API key" } };
+    }
+
+    const path = req.path.replace(PREFIX, "");
+    let m;
+
+    if (path === "/graphql.json") {
+      return { status: 200, body: { data: {} } };
+    }
+
+    if (path === "/orders.json" && req.method === "GET") {
+      const name = req.query.name;
+      const list = [...state.orders.values()].filter(
+        (o) => !name || o.name === name,
+      );
+      return { status: 200, body: { orders: list.slice(0, 1) } };
+    }
+
+    if ((m = path.match(/^\/orders\/(\d+)\.json$/))) {
+      const order = state.orders.get(m[1]);
+      if (!order) return { status: 404, body: { errors: "Not Found" } };
+
+      if (req.method === "PUT") {
+        const changes = { ...req.body?.order };
+        delete changes.id;
+        Object.assign(order, changes);
+      }
+      return { status: 200, body: { order } };
+    }
+
+    if ((m = path.match(/^\/orders\/(\d+)\/transactions\.json$/))) {
+      const list = state.transactions.get(m[1]) || [];
+      if (req.method === "POST") {
+        const transaction = { id: nextId++, ...req.body?.transaction };
+        list.push(transaction);
+        state.transactions.set(m[1], list);
+
+        const order = state.orders.get(m[1]);
+        if (order && transaction.kind === "capture") {
+          order.financial_status = "paid";
+        }
+        return { status: 201, body: { transaction } };
+      }
+      return { status: 200, body: { transactions: list } };
+    }
+
+    if ((m = path.match(/^\/orders\/(\d+)\/fulfillments\.json$/))) {
+      return { status: 200, body: { fulfillments: [] } };
+    }
+
+    if ((m = path.match(/^\/orders\/(\d+)\/fulfillment_orders\.json$/))) {
+      return { status: 200, body: { fulfillment_orders: [] } };
+    }
+
+    if ((m = path.match(/^\/variants\/(\d+)\.json$/))) {
+      return {
+        status: 200,
+        body: { variant: { id: Number(m[1]), grams: 500 } },
+      };
+    }
+
+    if (/^\/(variants|products)\/\d+\/metafields\.json$/.test(path)) {
+      return { status: 200, body: { metafields: [] } };
+    }
+
+    return { status: 404, body: { errors: "Not Found" } };
+  });
+
+  return {
+    ...mock,
+    order(id) {
+      return state.orders.get(String(id));
+    },
+    tags(id) {
+      return String(state.orders.get(String(id))?.tags || "")
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean);
+    },
+    transactions(id) {
+      return state.transactions.get(String(id)) || [];
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  e2eDatabaseUrl,
+  fixture,
+  startEnvironment,
+  waitFor,
+} from "./harness.js";
+
+const unpaid = { ...fixture("order"), id: 5550003003, name: "#1003" };
+const paid = { ...fixture("order"), id: 5550003004, name: "#1004" };
+
+function cancelled(o) {
+  return { ...o, cancelled_at: new Date().toISOString(), refunds: [] };
+}
+
+describe(
+  "Cancelling a Procard order",
+  { skip: !e2eDatabaseUrl() && "E2E_DATABASE_URL is not set" },
+  () => {
+    let env;
+
+    before(async () => {
+      env = await startEnvironment({ orders: [unpaid, paid] });
+
+      await env.sendShopifyWebhook("orders/create", unpaid);
+      await env.sendShopifyWebhook("orders/create", paid);
+      await waitFor(() => env.resend.emails().length === 2, {
+        label: "payment emails",
+      });
+    });
+
+    after(async () => {
+      await env?.stop();
+    });
+
+    test("an unpaid order's link is invalidated", async () => {
+      const res = await env.sendShopifyWebhook(
+        "orders/cancelled",
+        cancelled(unpaid),
+      );
+      assert.equal(res.status, 200);
+
+      const payment = await env.prisma.procardPayment.findUnique({
+        where: { orderReference: `${unpaid.id}-P1` },
+      });
+      assert.equal(payment.status, "invalidated");
+      assert.ok(env.shopify.tags(unpaid.id).includes("procard_link_cancelled"));
+      assert.equal(env.procard.requestsTo("/refund", "POST").length, 0);
+      assert.equal(env.postOffice.cancels().length, 0);
+
+      const late = await env.sendProcardCallback({
+        orderReference: `${unpaid.id}-P1`,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+      assert.equal(late.status, 200);
+      assert.ok(!env.shopify.tags(unpaid.id).includes("paid_procard"));
+    });
+
+    test("a paid order is refunded and its parcel cancelled", async () => {
+      await env.sendProcardCallback({
+        orderReference: `${paid.id}-P1`,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+      await waitFor(
+        () =>
+          env.prisma.shipment.findFirst({
+            where: { orderId: String(paid.id), status: "submitted" },
+          }),
+        { label: "PostOffice booking" },
+      );
+
+      const res = await env.sendShopifyWebhook(
+        "orders/cancelled",
+        cancelled(paid),
+      );
+      assert.equal(res.status, 200);
+
+      const [refund] = env.procard.requestsTo("/refund", "POST");
+      assert.equal(refund.body.order_id, `${paid.id}-P1`);
+      assert.equal(refund.body.amount, 42.5);
+      assert.equal(env.postOffice.cancels().length, 1);
+
+      const shipment = await env.prisma.shipment.findUnique({
+        where: { orderId: String(paid.id) },
+      });
+      assert.equal(shipment.status, "cancelled");
+
+      const tags = env.shopify.tags(paid.id);
+      assert.ok(tags.includes("procard_refunded"));
+      assert.ok(tags.includes("postoffice_cancelled"));
+    });
+
+    test("a redelivered cancellation refunds nothing twice", async () => {
+      const res = await env.sendShopifyWebhook(
+        "orders/cancelled",
+        cancelled(paid),
+      );
+      assert.equal(res.status, 200);
+      assert.equal(env.procard.requestsTo("/refund", "POST").length, 1);
+      assert.equal(env.postOffice.cancels().length, 1);
+    });
+  },
+);
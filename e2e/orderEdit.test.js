@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  e2eDatabaseUrl,
+  fixture,
+  startEnvironment,
+  waitFor,
+} from "./harness.js";
+
+const order = { ...fixture("order"), id: 5550002002, name: "#1002" };
+
+function withTotal(o, amount) {
+  const money = { amount, currency_code: "EUR" };
+  const set = { shop_money: money, presentment_money: money };
+  return {
+    ...o,
+    total_price: amount,
+    current_total_price: amount,
+    total_outstanding: amount,
+    total_price_set: set,
+    current_total_price_set: set,
+  };
+}
+
+describe(
+  "Editing an unpaid Procard order",
+  { skip: !e2eDatabaseUrl() && "E2E_DATABASE_URL is not set" },
+  () => {
+    let env;
+
+    before(async () => {
+      env = await startEnvironment({ orders: [order] });
+
+      await env.sendShopifyWebhook("orders/create", order);
+      await waitFor(() => env.resend.emails().length === 1, {
+        label: "first payment email",
+      });
+    });
+
+    after(async () => {
+      await env?.stop();
+    });
+
+    test("an update that keeps the total changes nothing", async () => {
+      const res = await env.sendShopifyWebhook("orders/updated", order);
+      assert.equal(res.status, 200);
+      assert.equal(env.procard.requestsTo("/dispatcher", "POST").length, 1);
+    });
+
+    test("a changed total sends a corrected link and invalidates the old one", async () => {
+      const edited = withTotal(order, "60.00");
+      Object.assign(env.shopify.order(order.id), edited);
+
+      const res = await env.sendShopifyWebhook("orders/updated", edited);
+      assert.equal(res.status, 200);
+
+      await waitFor(() => env.resend.emails().length === 2, {
+        label: "updated payment email",
+      });
+
+      const dispatches = env.procard.requestsTo("/dispatcher", "POST");
+      assert.equal(dispatches.length, 2);
+      assert.equal(dispatches[1].body.order_id, `${order.id}-P2`);
+      assert.equal(dispatches[1].body.amount, 60);
+
+      const old = await env.prisma.procardPayment.findUnique({
+        where: { orderReference: `${order.id}-P1` },
+      });
+      assert.equal(old.status, "invalidated");
+
+      const paymentUrl = `https://pay.procard.test/${order.id}-P2`;
+      await waitFor(
+        () =>
+          env.shopify
+            .order(order.id)
+            .note_attributes?.some((a) => a.value === paymentUrl),
+        { label: "updated procard_payment_url" },
+      );
+      assert.match(env.resend.emails()[1].subject, /Updated payment link/);
+    });
+
+    test("a late callback on the old link is not applied", async () => {
+      const res = await env.sendProcardCallback({
+        orderReference: `${order.id}-P1`,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+      assert.equal(res.status, 200);
+
+      const tags = env.shopify.tags(order.id);
+      assert.ok(!tags.includes("paid_procard"));
+      assert.ok(tags.includes("procard_outdated_link_paid"));
+      assert.equal(env.shopify.transactions(order.id).length, 0);
+    });
+  },
+);
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  e2eDatabaseUrl,
+  fixture,
+  startEnvironment,
+  waitFor,
+} from "./harness.js";
+
+const order = fixture("order");
+// Attempt 1 is the link sent on orders/create
+const orderReference = `${order.id}-P1`;
+
+describe(
+  "Procard payment link → callback → PostOffice",
+  { skip: !e2eDatabaseUrl() && "E2E_DATABASE_URL is not set" },
+  () => {
+    let env;
+
+    before(async () => {
+      env = await startEnvironment({ orders: [order] });
+    });
+
+    after(async () => {
+      await env?.stop();
+    });
+
+    test("orders/create requests a signed link, stores it and emails it", async () => {
+      const res = await env.sendShopifyWebhook("orders/create", order, {
+        eventId: "evt-orders-create-1",
+      });
+      assert.equal(res.status, 200);
+
+      await waitFor(() => env.resend.emails().length === 1, {
+        label: "payment email",
+      });
+
+      const [dispatch] = env.procard.requestsTo("/dispatcher", "POST");
+      assert.equal(dispatch.body.operation, "Purchase");
+      assert.equal(dispatch.body.order_id, orderReference);
+      assert.equal(dispatch.body.amount, 42.5);
+      assert.equal(dispatch.body.currency_iso, "EUR");
+
+      const mapping = await env.prisma.procardReference.findUnique({
+        where: { reference: orderReference },
+      });
+      assert.equal(mapping.orderGid, `gid://shopify/Order/${order.id}`);
+
+      const paymentUrl = `https://pay.procard.test/${orderReference}`;
+      await waitFor(
+        () =>
+          env.shopify
+            .order(order.id)
+            .note_attributes?.some(
+              (a) => a.name === "procard_payment_url" && a.value === paymentUrl,
+            ),
+        { label: "procard_payment_url attribute" },
+      );
+      assert.ok(env.shopify.tags(order.id).includes("procard_link_sent"));
+
+      const [email] = env.resend.emails();
+      assert.equal(email.to, order.email);
+      assert.ok(email.html.includes(paymentUrl));
+    });
+
+    test("a redelivered orders/create event is skipped", async () => {
+      const res = await env.sendShopifyWebhook("orders/create", order, {
+        eventId: "evt-orders-create-1",
+      });
+      assert.equal(res.status, 200);
+
+      const event = await env.prisma.webhookEvent.findFirst({
+        where: { eventId: "evt-orders-create-1" },
+      });
+      assert.equal(event.status, "processed");
+      assert.equal(event.deliveries, 2);
+      assert.equal(env.procard.requestsTo("/dispatcher", "POST").length, 1);
+      assert.equal(env.resend.emails().length, 1);
+    });
+
+    test("a callback with a bad signature is rejected", async () => {
+      const body = env.procard.callback({
+        orderReference,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+      body.merchantSignature = "0".repeat(128);
+
+      const res = await env.procard.postCallback(
+        `${env.appUrl}/webhooks/procard/callback`,
+        body,
+      );
+      assert.equal(res.status, 401);
+      assert.ok(!env.shopify.tags(order.id).includes("paid_procard"));
+    });
+
+    test("an approved callback marks the order paid and books PostOffice despite a failure and a redirect", async () => {
+      env.postOffice.script.push({ status: 503, body: "maintenance" });
+
+      const res = await env.sendProcardCallback({
+        orderReference,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+      assert.equal(res.status, 200);
+      assert.ok(env.shopify.tags(order.id).includes("paid_procard"));
+
+      const [capture] = env.shopify.transactions(order.id);
+      assert.equal(capture.kind, "capture");
+      assert.equal(capture.gateway, "Procard");
+      assert.equal(Number(capture.amount), 42.5);
+
+      const payment = await env.prisma.procardPayment.findFirst({
+        where: { orderReference },
+      });
+      assert.equal(payment.status, "paid");
+
+      // The first bulk-insert fails; the outbox schedules a retry
+      await waitFor(
+        () =>
+          env.prisma.outboxJob.findFirst({
+            where: {
+              kind: "postoffice_insert",
+              attempts: 1,
+              status: "pending",
+            },
+          }),
+        { label: "postoffice_insert retry" },
+      );
+      assert.equal(env.postOffice.bulkInserts().length, 1);
+
+      // The retry is redirected once before it lands
+      env.postOffice.script.push({ redirect: 307 });
+      await new Promise((r) => setTimeout(r, 1100));
+      const run = await env.runJob("outbox");
+      assert.equal(run.status, 200);
+      assert.equal(run.json.summary.done, 1);
+
+      const inserts = env.postOffice.bulkInserts();
+      assert.equal(inserts.length, 3);
+      assert.equal(inserts[2].path, "/v2/api/order/bulk-insert");
+
+      const [parcel] = inserts[2].body;
+      assert.equal(parcel.Refid, String(order.order_number));
+      assert.equal(parcel.CountryId, 1);
+      assert.equal(parcel.OrderPrice, 0, "prepaid orders collect nothing");
+
+      const shipment = await env.prisma.shipment.findUnique({
+        where: { orderId: String(order.id) },
+        include: { parcels: true },
+      });
+      assert.equal(shipment.status, "submitted");
+      assert.match(shipment.parcels[0].barcode, /^PO\d+XK$/);
+      assert.ok(env.shopify.tags(order.id).includes("sent_to_postoffice"));
+    });
+
+    test("a retried approved callback does not book PostOffice again", async () => {
+      const res = await env.sendProcardCallback({
+        orderReference,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(env.postOffice.bulkInserts().length, 3);
+      assert.equal(env.shopify.transactions(order.id).length, 1);
+    });
+  },
+);
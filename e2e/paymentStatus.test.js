@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  e2eDatabaseUrl,
+  fixture,
+  startEnvironment,
+  waitFor,
+} from "./harness.js";
+
+const order = { ...fixture("order"), id: 5550004005, name: "#1005" };
+
+describe(
+  "Customer payment status page",
+  { skip: !e2eDatabaseUrl() && "E2E_DATABASE_URL is not set" },
+  () => {
+    let env;
+    let token;
+
+    before(async () => {
+      env = await startEnvironment({ orders: [order] });
+
+      await env.sendShopifyWebhook("orders/create", order);
+      const [email] = await waitFor(
+        () => env.resend.emails().length === 1 && env.resend.emails(),
+        { label: "payment email" },
+      );
+
+      const link = email.html.match(/\/apps\/payment\/status\?token=([^"]+)/);
+      assert.ok(link, "the email links to the status page");
+      token = decodeURIComponent(link[1]);
+    });
+
+    after(async () => {
+      await env?.stop();
+    });
+
+    test("a tampered token is refused", async () => {
+      const res = await env.sendAppProxyRequest("/status", {
+        token: `${token}x`,
+      });
+      assert.equal(res.status, 404);
+    });
+
+    test("an unpaid order sends the customer to the link they have", async () => {
+      const res = await env.sendAppProxyRequest("/status", { token });
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /application\/liquid/);
+      const body = await res.text();
+      assert.match(body, /Pay now/);
+      assert.match(body, /42\.5 EUR/);
+
+      const pay = await env.sendAppProxyRequest(
+        "/status",
+        { token },
+        { method: "POST" },
+      );
+      assert.equal(pay.status, 302);
+      assert.equal(
+        pay.headers.get("location"),
+        `https://pay.procard.test/${order.id}-P1`,
+      );
+    });
+
+    test("a declined link is replaced by a fresh one", async () => {
+      await env.sendProcardCallback({
+        orderReference: `${order.id}-P1`,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Declined",
+      });
+
+      const pay = await env.sendAppProxyRequest(
+        "/status",
+        { token },
+        { method: "POST" },
+      );
+      assert.equal(pay.status, 302);
+      assert.equal(
+        pay.headers.get("location"),
+        `https://pay.procard.test/${order.id}-P2`,
+      );
+    });
+
+    test("a paid order shows a confirmation", async () => {
+      await env.sendProcardCallback({
+        orderReference: `${order.id}-P2`,
+        amount: 42.5,
+        currency: "EUR",
+        transactionStatus: "Approved",
+      });
+
+      const res = await env.sendAppProxyRequest("/status", { token });
+      const body = await res.text();
+      assert.match(body, /Payment received/);
+      assert.doesNotMatch(body, /Pay now/);
+    });
+  },
+);
@@ -0,0 +1,25 @@
+/* ---------------- OUTBOUND REDIRECTS ---------------- */
+
+// Preloaded into the app under test (node --import). The app calls the real
+// Shopify and Resend hosts; this sends those requests to the stand-ins named
+// in E2E_FETCH_REDIRECTS ({ "https://api.resend.com": "http://127.0.0.1:…" }).
+
+const redirects = JSON.parse(process.env.E2E_FETCH_REDIRECTS || "{}");
+const realFetch = global.fetch;
+
+function redirected(url) {
+  const { origin } = new URL(url);
+  const target = redirects[origin];
+  return target ? `${target}${String(url).slice(origin.length)}` : null;
+}
+
+global.fetch = (input, init) => {
+  const url = input instanceof Request ? input.url : String(input);
+  const target = redirected(url);
+  if (!target) return realFetch(input, init);
+
+  return realFetch(
+    input instanceof Request ? new Request(target, input) : target,
+    init,
+  );
+};
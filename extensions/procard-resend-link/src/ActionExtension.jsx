@@ -0,0 +1,72 @@
+import "@shopify/ui-extensions/preact";
+import { render } from "preact";
+import { useState } from "preact/hooks";
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+function Extension() {
+  const { close, data } = shopify;
+  const orderId = data.selected[0]?.id;
+
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  async function resend() {
+    setLoading(true);
+    setResult(null);
+
+    try {
+      // Relative URLs resolve to the app backend with a session token
+      const res = await fetch("/api/payment-link", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ orderId, email }),
+      });
+      const json = await res.json();
+      setResult(res.ok ? { ok: true, ...json } : { ok: false, ...json });
+    } catch (e) {
+      setResult({ ok: false, error: String(e) });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <s-admin-action heading="Resend Procard payment link" loading={loading}>
+      <s-stack gap="base">
+        <s-text>
+          Creates a fresh payment link for the current order total and emails it
+          to the customer.
+        </s-text>
+        <s-email-field
+          label="Send to a different email (optional)"
+          value={email}
+          onChange={(e) => setEmail(e.currentTarget.value)}
+        />
+        {result?.ok && (
+          <s-banner tone="success">
+            {result.emailError
+              ? `New link created, but the email failed: ${result.emailError}`
+              : `New link sent${result.emailedTo ? ` to ${result.emailedTo}` : ""}.`}
+          </s-banner>
+        )}
+        {result && !result.ok && (
+          <s-banner tone="critical">{result.error}</s-banner>
+        )}
+      </s-stack>
+      <s-button
+        slot="primary-action"
+        onClick={resend}
+        disabled={loading || result?.ok}
+      >
+        Regenerate and send
+      </s-button>
+      <s-button slot="secondary-actions" onClick={close}>
+        Close
+      </s-button>
+    </s-admin-action>
+  );
+}
@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "ProcardPayment" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT,
+    "orderReference" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'link_requested',
+    "paymentUrl" TEXT,
+    "dispatcherRequest" JSONB,
+    "dispatcherResponse" JSONB,
+    "transactionId" TEXT,
+    "paidAmount" DECIMAL(12,2),
+    "paidCurrency" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProcardPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProcardPaymentEvent" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT,
+    "orderReference" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT,
+    "transactionStatus" TEXT,
+    "amount" DECIMAL(12,2),
+    "currency" TEXT,
+    "payload" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProcardPaymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProcardPayment_orderReference_key" ON "ProcardPayment"("orderReference");
+
+-- CreateIndex
+CREATE INDEX "ProcardPayment_orderId_idx" ON "ProcardPayment"("orderId");
+
+-- CreateIndex
+CREATE INDEX "ProcardPaymentEvent_paymentId_idx" ON "ProcardPaymentEvent"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "ProcardPaymentEvent_orderReference_idx" ON "ProcardPaymentEvent"("orderReference");
+
+-- AddForeignKey
+ALTER TABLE "ProcardPaymentEvent" ADD CONSTRAINT "ProcardPaymentEvent_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "ProcardPayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
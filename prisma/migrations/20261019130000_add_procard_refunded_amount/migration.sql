@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProcardPayment" ADD COLUMN     "refundedAmount" DECIMAL(12,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Shipment" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT,
+    "source" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'submitting',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "request" JSONB,
+    "response" JSONB,
+    "lastError" TEXT,
+    "submittedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Shipment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Shipment_orderId_key" ON "Shipment"("orderId");
+
+-- CreateIndex
+CREATE INDEX "Shipment_shop_updatedAt_idx" ON "Shipment"("shop", "updatedAt");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN     "barcode" TEXT,
+ADD COLUMN     "fulfillmentEvent" TEXT,
+ADD COLUMN     "postOfficeId" TEXT,
+ADD COLUMN     "trackingPushed" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "trackingStatus" TEXT,
+ADD COLUMN     "trackingSyncedAt" TIMESTAMP(3),
+ADD COLUMN     "trackingUrl" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Shipment_status_trackingSyncedAt_idx" ON "Shipment"("status", "trackingSyncedAt");
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "ShipmentParcel" (
+    "id" TEXT NOT NULL,
+    "shipmentId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "refid" TEXT,
+    "description" TEXT,
+    "weight" DECIMAL(10,3),
+    "postOfficeId" TEXT,
+    "barcode" TEXT,
+    "trackingUrl" TEXT,
+    "trackingStatus" TEXT,
+    "fulfillmentEvent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShipmentParcel_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing single-parcel shipments become parcel 1 of their group
+INSERT INTO "ShipmentParcel" ("id", "shipmentId", "position", "postOfficeId", "barcode", "trackingUrl", "trackingStatus", "fulfillmentEvent", "updatedAt")
+SELECT "id" || '_1', "id", 1, "postOfficeId", "barcode", "trackingUrl", "trackingStatus", "fulfillmentEvent", CURRENT_TIMESTAMP
+FROM "Shipment"
+WHERE "status" = 'submitted';
+
+-- AlterTable
+ALTER TABLE "Shipment" DROP COLUMN "barcode",
+DROP COLUMN "postOfficeId",
+DROP COLUMN "trackingUrl";
+
+-- CreateIndex
+CREATE INDEX "ShipmentParcel_barcode_idx" ON "ShipmentParcel"("barcode");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShipmentParcel_shipmentId_position_key" ON "ShipmentParcel"("shipmentId", "position");
+
+-- AddForeignKey
+ALTER TABLE "ShipmentParcel" ADD CONSTRAINT "ShipmentParcel_shipmentId_fkey" FOREIGN KEY ("shipmentId") REFERENCES "Shipment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
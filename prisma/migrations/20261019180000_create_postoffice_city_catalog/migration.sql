@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "PostOfficeCity" (
+    "id" TEXT NOT NULL,
+    "countryId" INTEGER NOT NULL,
+    "postOfficeId" TEXT,
+    "label" TEXT NOT NULL,
+    "normalized" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PostOfficeCity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PostOfficeCityAlias" (
+    "id" TEXT NOT NULL,
+    "cityId" TEXT NOT NULL,
+    "countryId" INTEGER NOT NULL,
+    "alias" TEXT NOT NULL,
+    "normalized" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PostOfficeCityAlias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PostOfficeCity_countryId_normalized_key" ON "PostOfficeCity"("countryId", "normalized");
+
+-- CreateIndex
+CREATE INDEX "PostOfficeCityAlias_cityId_idx" ON "PostOfficeCityAlias"("cityId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PostOfficeCityAlias_countryId_normalized_key" ON "PostOfficeCityAlias"("countryId", "normalized");
+
+-- AddForeignKey
+ALTER TABLE "PostOfficeCityAlias" ADD CONSTRAINT "PostOfficeCityAlias_cityId_fkey" FOREIGN KEY ("cityId") REFERENCES "PostOfficeCity"("id") ON DELETE CASCADE ON UPDATE CASCADE;
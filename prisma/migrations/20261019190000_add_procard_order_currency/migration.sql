@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ProcardPayment" ADD COLUMN     "exchangeRate" DECIMAL(18,8),
+ADD COLUMN     "orderAmount" DECIMAL(12,2),
+ADD COLUMN     "orderCurrency" TEXT;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "procardMerchantId" TEXT,
+    "procardSecret" TEXT,
+    "procardDispatcherUrl" TEXT,
+    "procardRefundUrl" TEXT,
+    "postOfficeBaseUrl" TEXT,
+    "postOfficeToken" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSettings_shop_key" ON "ShopSettings"("shop");
+
+-- CreateIndex
+CREATE INDEX "ShopSettings_procardMerchantId_idx" ON "ShopSettings"("procardMerchantId");
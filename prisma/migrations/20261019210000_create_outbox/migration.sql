@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "OutboxJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT,
+    "orderId" TEXT,
+    "kind" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "dedupeKey" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OutboxJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OutboxJob_dedupeKey_key" ON "OutboxJob"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "OutboxJob_status_runAt_idx" ON "OutboxJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "OutboxJob_orderId_idx" ON "OutboxJob"("orderId");
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "WebhookEvent" (
+    "id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "shop" TEXT,
+    "topic" TEXT NOT NULL,
+    "dedupeKey" TEXT NOT NULL,
+    "webhookId" TEXT,
+    "eventId" TEXT,
+    "headers" JSONB,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "deliveries" INTEGER NOT NULL DEFAULT 1,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "responseStatus" INTEGER,
+    "result" TEXT,
+    "processedAt" TIMESTAMP(3),
+    "replayedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookEvent_dedupeKey_key" ON "WebhookEvent"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_shop_createdAt_idx" ON "WebhookEvent"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_status_idx" ON "WebhookEvent"("status");
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "ProcardReference" (
+    "reference" TEXT NOT NULL,
+    "shop" TEXT,
+    "orderGid" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT,
+    "attempt" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProcardReference_pkey" PRIMARY KEY ("reference")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProcardReference_orderGid_attempt_key" ON "ProcardReference"("orderGid", "attempt");
+
+-- CreateIndex
+CREATE INDEX "ProcardReference_orderId_idx" ON "ProcardReference"("orderId");
+
+-- Existing ledger references, numbered per order in the order they were sent
+INSERT INTO "ProcardReference" ("reference", "shop", "orderGid", "orderId", "orderName", "attempt", "createdAt")
+SELECT
+    "orderReference",
+    "shop",
+    'gid://shopify/Order/' || "orderId",
+    "orderId",
+    "orderName",
+    ROW_NUMBER() OVER (PARTITION BY "orderId" ORDER BY "createdAt", "id"),
+    "createdAt"
+FROM "ProcardPayment";
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PaymentRule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "gatewayNames" TEXT[],
+    "gatewayPattern" TEXT,
+    "tags" TEXT[],
+    "channels" TEXT[],
+    "minAmount" DECIMAL(12,2),
+    "maxAmount" DECIMAL(12,2),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentRule_shop_position_idx" ON "PaymentRule"("shop", "position");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN     "postOfficeDefaultWeightKg" DECIMAL(10,3),
+ADD COLUMN     "procardApproveUrl" TEXT,
+ADD COLUMN     "procardCallbackUrl" TEXT,
+ADD COLUMN     "procardCancelUrl" TEXT,
+ADD COLUMN     "procardDeclineUrl" TEXT,
+ADD COLUMN     "resendApiKey" TEXT,
+ADD COLUMN     "resendEmailFrom" TEXT;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "ProcardPayment_status_createdAt_idx" ON "ProcardPayment"("status", "createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN     "lockedAt" TIMESTAMP(3);
+
+-- Bookings left "submitting" before the lock existed become reclaimable
+UPDATE "Shipment" SET "lockedAt" = "updatedAt" WHERE "status" = 'submitting';
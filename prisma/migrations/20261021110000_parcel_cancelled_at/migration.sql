@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShipmentParcel" ADD COLUMN     "cancelledAt" TIMESTAMP(3);
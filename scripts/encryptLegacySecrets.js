@@ -0,0 +1,37 @@
+/* ---------------- ENCRYPT LEGACY SECRETS ---------------- */
+
+// One-off: settings rows saved before secrets were encrypted still hold them
+// in plain text. Encrypts them in place with SETTINGS_ENCRYPTION_KEY; rows
+// already encrypted are left alone, so running it again changes nothing.
+//
+//   node scripts/encryptLegacySecrets.js
+
+import prisma from "../app/db.server.js";
+import { encryptSecret, isEncrypted } from "../app/secrets.server.js";
+import { SECRET_FIELDS } from "../app/shopConfig.server.js";
+
+try {
+  const rows = await prisma.shopSettings.findMany();
+  let updated = 0;
+
+  for (const settings of rows) {
+    const data = {};
+    for (const field of SECRET_FIELDS) {
+      if (settings[field] && !isEncrypted(settings[field])) {
+        data[field] = encryptSecret(settings[field]);
+      }
+    }
+    if (!Object.keys(data).length) continue;
+
+    await prisma.shopSettings.update({ where: { id: settings.id }, data });
+    updated++;
+    console.log("Encrypted legacy secrets", {
+      shop: settings.shop,
+      fields: Object.keys(data),
+    });
+  }
+
+  console.log(`Encrypted secrets on ${updated} of ${rows.length} shops`);
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test, vi } from "vitest";
+import { handleOrderCancelled } from "../app/orderCancellation.server";
+import { cancelShipment } from "../app/postOffice.server";
+import { tagOrder } from "../app/shopifyOrders.server";
+
+vi.mock("../app/outbox.server", () => ({ cancelJobsForOrder: vi.fn() }));
+vi.mock("../app/postOffice.server", () => ({ cancelShipment: vi.fn() }));
+vi.mock("../app/procardPayments.server", () => ({
+  findRefundablePayment: vi.fn(),
+  invalidateOpenPayments: async () => [],
+}));
+vi.mock("../app/procardRefunds.server", () => ({}));
+vi.mock("../app/shopifyOrders.server", () => ({
+  appendOrderNote: vi.fn(),
+  tagOrder: vi.fn(),
+}));
+
+const payload = { id: 42, cancelled_at: "2026-10-19T10:00:00Z" };
+
+beforeEach(() => {
+  vi.resetAllMocks();
+});
+
+describe("orders/cancelled", () => {
+  test("a PostOffice booking in flight makes Shopify retry", async () => {
+    cancelShipment.mockResolvedValue({ status: "in_progress" });
+
+    const res = await handleOrderCancelled({ shop: "s", payload });
+
+    assert.equal(res.status, 503);
+    assert.equal(tagOrder.mock.calls.length, 0);
+  });
+
+  test("a cancelled parcel is tagged on the order", async () => {
+    cancelShipment.mockResolvedValue({ status: "cancelled" });
+
+    const res = await handleOrderCancelled({ shop: "s", payload });
+
+    assert.equal(res.status, 200);
+    assert.equal(tagOrder.mock.calls[0][1], 42);
+    assert.deepEqual(tagOrder.mock.calls[0][2], ["postoffice_cancelled"]);
+  });
+});
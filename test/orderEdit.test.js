@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test, vi } from "vitest";
+import { enqueue, kickOutbox } from "../app/outbox.server";
+import {
+  PAYMENT_STATUS,
+  invalidatePayments,
+  listOpenPayments,
+} from "../app/procardPayments.server";
+import { nextProcardReference } from "../app/procardReferences.server";
+import { WEBHOOK_HANDLERS } from "../app/webhookHandlers.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+vi.mock("../app/shopify.server", () => ({}));
+vi.mock("../app/outbox.server", () => ({
+  enqueue: vi.fn(),
+  kickOutbox: vi.fn(),
+}));
+vi.mock("../app/procardPayments.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  invalidatePayments: vi.fn(),
+  listOpenPayments: vi.fn(),
+}));
+vi.mock("../app/procardReferences.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  nextProcardReference: vi.fn(),
+}));
+
+const order = {
+  id: 42,
+  currency: "EUR",
+  financial_status: "pending",
+  current_total_price: "60.00",
+};
+
+function link(id, amount, status = PAYMENT_STATUS.LINK_SENT) {
+  return { id, orderReference: `42-${id}`, status, amount, currency: "EUR" };
+}
+
+const handleOrderUpdated = (payload) =>
+  WEBHOOK_HANDLERS.ORDERS_UPDATED({ shop: "s", payload });
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  nextProcardReference.mockResolvedValue({ reference: "42-P2" });
+  enqueue.mockImplementation(async (job) => job);
+  invalidatePayments.mockImplementation(async (payments) => payments);
+});
+
+describe("orders/updated", () => {
+  test("queues the corrected link before invalidating the old one", async () => {
+    listOpenPayments.mockResolvedValue([link("P1", "42.50")]);
+    const calls = [];
+    enqueue.mockImplementation(async (job) => calls.push("enqueue") && job);
+    invalidatePayments.mockImplementation(
+      async (p) => calls.push("invalidate") && p,
+    );
+
+    const res = await handleOrderUpdated(order);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(calls, ["enqueue", "invalidate"]);
+    assert.equal(
+      enqueue.mock.calls[0][0].dedupeKey,
+      "procard_link:s:relink:P1",
+    );
+    assert.deepEqual(invalidatePayments.mock.calls[0][0], [
+      link("P1", "42.50"),
+    ]);
+  });
+
+  test("a failed invalidation is retried by Shopify onto the same job", async () => {
+    listOpenPayments.mockResolvedValue([link("P1", "42.50")]);
+    invalidatePayments.mockRejectedValueOnce(new Error("db down"));
+
+    assert.equal((await handleOrderUpdated(order)).status, 500);
+    assert.equal((await handleOrderUpdated(order)).status, 200);
+
+    const keys = enqueue.mock.calls.map(([job]) => job.dedupeKey);
+    assert.deepEqual(keys, [
+      "procard_link:s:relink:P1",
+      "procard_link:s:relink:P1",
+    ]);
+    assert.equal(invalidatePayments.mock.calls.length, 2);
+  });
+
+  test("once the corrected link exists only the old ones are invalidated", async () => {
+    listOpenPayments.mockResolvedValue([
+      link("P2", "60.00"),
+      link("P1", "42.50"),
+    ]);
+
+    await handleOrderUpdated(order);
+
+    assert.equal(enqueue.mock.calls.length, 0);
+    assert.deepEqual(invalidatePayments.mock.calls[0][0], [
+      link("P1", "42.50"),
+    ]);
+  });
+
+  test("an update that keeps the total changes nothing", async () => {
+    listOpenPayments.mockResolvedValue([link("P1", "60.00")]);
+
+    await handleOrderUpdated(order);
+
+    assert.equal(enqueue.mock.calls.length, 0);
+    assert.equal(invalidatePayments.mock.calls.length, 0);
+    assert.equal(kickOutbox.mock.calls.length, 0);
+  });
+});
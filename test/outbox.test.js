@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import { OUTBOX_STATUS, processOutbox } from "../app/outbox.server";
+import { sendPaymentEmail } from "../app/paymentEmail.server";
+import { createPaymentLink } from "../app/paymentLinks.server";
+import {
+  PAYMENT_STATUS,
+  findPaymentByReference,
+  invalidateOpenPayments,
+} from "../app/procardPayments.server";
+import {
+  setPaymentUrlAttribute,
+  shopifyRest,
+  tagOrder,
+} from "../app/shopifyOrders.server";
+
+vi.mock("../app/db.server", () => ({
+  default: {
+    outboxJob: {
+      create: vi.fn(),
+      findMany: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+    },
+  },
+}));
+vi.mock("../app/paymentEmail.server", () => ({
+  sendPaymentEmail: vi.fn(),
+  sendPaymentUpdatedEmail: vi.fn(),
+}));
+vi.mock("../app/paymentLinks.server", () => ({
+  createPaymentLink: vi.fn(),
+  isOrderPaid: () => false,
+}));
+vi.mock("../app/postOffice.server", () => ({
+  SHIPMENT_STATUS: {},
+  submitShipment: vi.fn(),
+}));
+vi.mock("../app/procardPayments.server", () => ({
+  PAYMENT_STATUS: { INVALIDATED: "invalidated", LINK_SENT: "link_sent" },
+  findPaymentByReference: vi.fn(),
+  invalidateOpenPayments: vi.fn(),
+}));
+vi.mock("../app/shopifyOrders.server", () => ({
+  setPaymentUrlAttribute: vi.fn(),
+  shopifyRest: vi.fn(),
+  tagOrder: vi.fn(),
+}));
+
+function run(kind, payload) {
+  prisma.outboxJob.findMany.mockResolvedValue([
+    { id: "job_1", shop: "s", orderId: "42", kind, payload, attempts: 0 },
+  ]);
+  return processOutbox();
+}
+
+function enqueuedKinds() {
+  return prisma.outboxJob.create.mock.calls.map(([q]) => q.data.kind);
+}
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  prisma.outboxJob.updateMany.mockResolvedValue({ count: 1 });
+  prisma.outboxJob.create.mockImplementation(async ({ data }) => data);
+});
+
+describe("procard_link", () => {
+  const payload = { orderReference: "42-P1", order: { id: 42 } };
+
+  test("an order cancelled while the job waited gets no link", async () => {
+    shopifyRest.mockResolvedValue({ order: { id: 42, cancelled_at: "now" } });
+
+    const summary = await run("procard_link", payload);
+
+    assert.equal(summary.done, 1);
+    assert.equal(createPaymentLink.mock.calls.length, 0);
+    assert.deepEqual(enqueuedKinds(), []);
+  });
+
+  test("a link created as the order was cancelled is invalidated, not sent", async () => {
+    shopifyRest
+      .mockResolvedValueOnce({ order: { id: 42, cancelled_at: null } })
+      .mockResolvedValueOnce({ order: { id: 42, cancelled_at: "now" } });
+    createPaymentLink.mockResolvedValue({ paymentUrl: "https://pay/42-P1" });
+    invalidateOpenPayments.mockResolvedValue([{ id: "pay_1" }]);
+
+    await run("procard_link", payload);
+
+    assert.deepEqual(invalidateOpenPayments.mock.calls, [
+      ["42", "Order cancelled"],
+    ]);
+    assert.deepEqual(tagOrder.mock.calls, [
+      ["s", 42, ["procard_link_cancelled"]],
+    ]);
+    assert.deepEqual(enqueuedKinds(), []);
+  });
+
+  test("the link charges the order as it is now, not as it was queued", async () => {
+    const current = { id: 42, cancelled_at: null, current_total_price: "60" };
+    shopifyRest.mockResolvedValue({ order: current });
+    createPaymentLink.mockResolvedValue({ paymentUrl: "https://pay/42-P1" });
+
+    await run("procard_link", payload);
+
+    assert.deepEqual(createPaymentLink.mock.calls[0][0].order, current);
+  });
+
+  test("a live order gets its url and email jobs", async () => {
+    shopifyRest.mockResolvedValue({ order: { id: 42, cancelled_at: null } });
+    createPaymentLink.mockResolvedValue({ paymentUrl: "https://pay/42-P1" });
+
+    await run("procard_link", payload);
+
+    assert.deepEqual(enqueuedKinds(), ["order_payment_url", "payment_email"]);
+    for (const [{ data }] of prisma.outboxJob.create.mock.calls) {
+      assert.equal(data.payload.orderReference, "42-P1");
+    }
+  });
+});
+
+describe("link follow-ups", () => {
+  const payload = {
+    orderReference: "42-P1",
+    paymentUrl: "https://pay/42-P1",
+    email: "a@b.test",
+  };
+
+  test("an invalidated link is neither saved on the order nor emailed", async () => {
+    findPaymentByReference.mockResolvedValue({
+      status: PAYMENT_STATUS.INVALIDATED,
+    });
+
+    await run("order_payment_url", payload);
+    await run("payment_email", payload);
+
+    assert.equal(setPaymentUrlAttribute.mock.calls.length, 0);
+    assert.equal(sendPaymentEmail.mock.calls.length, 0);
+    const done = prisma.outboxJob.update.mock.calls.map(([q]) => q.data.status);
+    assert.deepEqual(done, [OUTBOX_STATUS.DONE, OUTBOX_STATUS.DONE]);
+  });
+
+  test("a live link is saved on the order", async () => {
+    findPaymentByReference.mockResolvedValue({
+      status: PAYMENT_STATUS.LINK_SENT,
+    });
+
+    await run("order_payment_url", payload);
+
+    assert.deepEqual(setPaymentUrlAttribute.mock.calls, [
+      ["s", 42, "https://pay/42-P1"],
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import { invalidateOpenPayments } from "../app/procardPayments.server";
+import { runPaymentReminders } from "../app/paymentReminders.server";
+import { shopifyRest } from "../app/shopifyOrders.server";
+
+vi.mock("../app/db.server", () => ({
+  default: { procardPayment: { findMany: vi.fn() } },
+}));
+vi.mock("../app/procardPayments.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  invalidateOpenPayments: vi.fn(),
+}));
+vi.mock("../app/shopifyOrders.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  shopifyRest: vi.fn(),
+}));
+vi.mock("../app/shopify.server", () => ({}));
+
+const now = new Date("2026-10-20T12:00:00Z");
+
+function payment(i) {
+  return {
+    id: `pay_${String(i).padStart(3, "0")}`,
+    shop: "shop.myshopify.com",
+    orderId: String(1000 + i),
+    // Past the 1h reminder, well before expiry
+    createdAt: new Date(now.getTime() - 10 * 60 * 60 * 1000),
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.stubEnv("PROCARD_REMINDER_HOURS", "1");
+  vi.stubEnv("PROCARD_EXPIRY_HOURS", "240");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("runPaymentReminders", () => {
+  test("pages through open payments after the last one seen", async () => {
+    const all = Array.from({ length: 150 }, (_, i) => payment(i));
+    prisma.procardPayment.findMany.mockImplementation(async ({ where }) => {
+      const after = where.OR?.[1];
+      const rest = after ? all.filter((p) => p.id > after.id.gt) : all;
+      return rest.slice(0, 100);
+    });
+    shopifyRest.mockResolvedValue({
+      order: { id: 1, cancelled_at: "2026-10-20T00:00:00Z" },
+    });
+
+    const summary = await runPaymentReminders(now);
+
+    assert.equal(prisma.procardPayment.findMany.mock.calls.length, 2);
+    assert.equal(summary.checked, 150);
+    assert.equal(summary.skipped, 150);
+  });
+
+  test("invalidates payments whose order was settled elsewhere", async () => {
+    prisma.procardPayment.findMany.mockResolvedValue([payment(1), payment(2)]);
+    shopifyRest
+      .mockResolvedValueOnce({ order: { id: 1001, financial_status: "paid" } })
+      .mockResolvedValueOnce({
+        order: { id: 1002, cancelled_at: "2026-10-20T00:00:00Z" },
+      });
+
+    await runPaymentReminders(now);
+
+    assert.deepEqual(invalidateOpenPayments.mock.calls, [
+      ["1001", "Order paid outside Procard"],
+      ["1002", "Order cancelled"],
+    ]);
+  });
+});
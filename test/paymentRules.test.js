@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { describe, test, vi } from "vitest";
+import {
+  DEFAULT_PAYMENT_RULE,
+  evaluatePaymentRules,
+  parsePaymentRuleForm,
+} from "../app/paymentRules.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+vi.mock("../app/shopify.server", () => ({}));
+
+function rule(name, criteria) {
+  return {
+    ...DEFAULT_PAYMENT_RULE,
+    gatewayNames: [],
+    name,
+    ...criteria,
+  };
+}
+
+function form(fields) {
+  const data = new FormData();
+  for (const [key, value] of Object.entries(fields)) data.set(key, value);
+  return data;
+}
+
+const order = {
+  payment_gateway_names: ["Pay by card (email)"],
+  tags: "wholesale, vip",
+  source_name: "web",
+  current_total_price: "120.00",
+};
+
+describe("evaluatePaymentRules", () => {
+  test("the default rule keeps matching the legacy gateways", () => {
+    const { rule: match } = evaluatePaymentRules([DEFAULT_PAYMENT_RULE], order);
+    assert.equal(match, DEFAULT_PAYMENT_RULE);
+
+    const cod = { ...order, payment_gateway_names: ["Cash on Delivery"] };
+    assert.equal(evaluatePaymentRules([DEFAULT_PAYMENT_RULE], cod).rule, null);
+  });
+
+  test("returns the first matching rule and why earlier ones failed", () => {
+    const rules = [
+      rule("Retail only", { channels: ["pos"] }),
+      rule("Small orders", { maxAmount: 100 }),
+      rule("VIP", { tags: ["VIP"] }),
+      rule("Card", { gatewayPattern: "card" }),
+    ];
+    const { rule: match, skipped } = evaluatePaymentRules(rules, order);
+
+    assert.equal(match.name, "VIP");
+    assert.deepEqual(skipped, [
+      { rule: "Retail only", reason: 'channel "web" not in ["pos"]' },
+      { rule: "Small orders", reason: "amount 120 above 100" },
+    ]);
+  });
+
+  test("every criterion on a rule must hold", () => {
+    const rules = [
+      rule("Card over 200", { gatewayPattern: "^pay by", minAmount: 200 }),
+    ];
+    const { rule: match, skipped } = evaluatePaymentRules(rules, order);
+
+    assert.equal(match, null);
+    assert.equal(skipped[0].reason, "amount 120 below 200");
+  });
+
+  test("an invalid stored pattern fails the rule instead of throwing", () => {
+    const { rule: match, skipped } = evaluatePaymentRules(
+      [rule("Broken", { gatewayPattern: "(" })],
+      order,
+    );
+    assert.equal(match, null);
+    assert.equal(skipped[0].reason, "invalid pattern /(/");
+  });
+});
+
+describe("parsePaymentRuleForm", () => {
+  test("splits lists and parses amounts", () => {
+    const { data, errors } = parsePaymentRuleForm(
+      form({
+        name: " Card ",
+        position: "2",
+        gatewayNames: "Pay by card (email), manual\nBank",
+        minAmount: "10",
+        maxAmount: "",
+      }),
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(data.name, "Card");
+    assert.equal(data.position, 2);
+    assert.deepEqual(data.gatewayNames, [
+      "Pay by card (email)",
+      "manual",
+      "Bank",
+    ]);
+    assert.equal(data.minAmount, 10);
+    assert.equal(data.maxAmount, null);
+  });
+
+  test("rejects rules that would match every order or cannot match", () => {
+    const { errors } = parsePaymentRuleForm(
+      form({ name: "", gatewayPattern: "[", minAmount: "50", maxAmount: "5" }),
+    );
+
+    assert.deepEqual(errors, [
+      "Name is required",
+      "Gateway pattern /[/ is not a valid regex",
+      "Minimum amount is above the maximum",
+    ]);
+
+    const empty = parsePaymentRuleForm(form({ name: "Everything" }));
+    assert.deepEqual(empty.errors, [
+      "Set at least a gateway name, pattern, tag or channel",
+    ]);
+  });
+});
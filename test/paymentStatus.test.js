@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import { loadPaymentStatus } from "../app/paymentStatus.server";
+import { PAYMENT_STATUS } from "../app/procardPayments.server";
+import { shopifyRest } from "../app/shopifyOrders.server";
+
+vi.mock("../app/db.server", () => ({
+  default: { procardPayment: { findMany: vi.fn() } },
+}));
+vi.mock("../app/paymentLinks.server", () => ({ isOrderPaid: () => false }));
+vi.mock("../app/shopifyOrders.server", () => ({ shopifyRest: vi.fn() }));
+
+function payment(status, reference, extra = {}) {
+  return {
+    status,
+    orderName: "#1005",
+    amount: "2500",
+    currency: "ALL",
+    paymentUrl: `https://pay.procard.test/${reference}`,
+    ...extra,
+  };
+}
+
+function ledger(...payments) {
+  prisma.procardPayment.findMany.mockResolvedValue(payments);
+}
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  shopifyRest.mockResolvedValue({
+    order: {
+      id: 5,
+      name: "#1005",
+      current_total_price: "21.00",
+      currency: "EUR",
+    },
+  });
+});
+
+describe("loadPaymentStatus for an unpaid order", () => {
+  test("offers the open link and what Procard charges for it", async () => {
+    ledger(
+      payment(PAYMENT_STATUS.LINK_SENT, "5-P2"),
+      payment(PAYMENT_STATUS.SUPERSEDED, "5-P1"),
+    );
+
+    const status = await loadPaymentStatus({ shop: "s", orderId: 5 });
+
+    assert.equal(status.paymentUrl, "https://pay.procard.test/5-P2");
+    assert.equal(status.amount, "2500");
+    assert.equal(status.currency, "ALL");
+    assert.equal(status.renewable, false);
+  });
+
+  test("allows a new link once Procard expired or declined the last one", async () => {
+    for (const closed of [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.DECLINED]) {
+      ledger(payment(closed, "5-P1"));
+
+      const status = await loadPaymentStatus({ shop: "s", orderId: 5 });
+
+      assert.equal(status.paymentUrl, null);
+      assert.equal(status.renewable, true);
+    }
+  });
+
+  test("allows nothing while a replacement link is still being issued", async () => {
+    ledger(payment(PAYMENT_STATUS.INVALIDATED, "5-P1"));
+
+    const status = await loadPaymentStatus({ shop: "s", orderId: 5 });
+
+    assert.equal(status.paymentUrl, null);
+    assert.equal(status.renewable, false);
+  });
+});
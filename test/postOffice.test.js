@@ -0,0 +1,231 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  SHIPMENT_STATUS,
+  cancelShipment,
+  submitShipment,
+} from "../app/postOffice.server";
+import { resolveCity } from "../app/postOfficeCities.server";
+import { tagOrder } from "../app/shopifyOrders.server";
+
+vi.mock("../app/db.server", () => ({
+  default: {
+    $transaction: vi.fn(),
+    shipment: {
+      create: vi.fn(),
+      findUnique: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+    },
+    shipmentParcel: {
+      createMany: vi.fn(),
+      deleteMany: vi.fn(),
+      update: vi.fn(),
+    },
+  },
+}));
+vi.mock("../app/postOfficeCities.server", () => ({ resolveCity: vi.fn() }));
+vi.mock("../app/shopConfig.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getShopConfig: async () => ({
+    postOffice: { baseUrl: "https://postoffice.test", token: "t" },
+  }),
+}));
+vi.mock("../app/shopify.server", () => ({}));
+vi.mock("../app/shopifyOrders.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  appendOrderNote: vi.fn(),
+  tagOrder: vi.fn(),
+}));
+
+const order = {
+  id: 42,
+  name: "#1042",
+  shipping_address: {
+    first_name: "Arta",
+    last_name: "Krasniqi",
+    address1: "Rr. Nëna Terezë 1",
+    city: "Prishtinë",
+    country_code: "XK",
+  },
+};
+
+function duplicateKey() {
+  return Object.assign(new Error("Unique constraint"), { code: "P2002" });
+}
+
+const lockedAt = new Date();
+
+function claimed() {
+  prisma.shipment.create.mockResolvedValue({ id: "shp_1", lockedAt });
+  resolveCity.mockResolvedValue({ city: { label: "Prishtinë" } });
+}
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  vi.stubEnv("POSTOFFICE_COUNTRIES", "XK=1");
+  prisma.$transaction.mockImplementation((run) => run(prisma));
+  prisma.shipment.updateMany.mockResolvedValue({ count: 0 });
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+describe("submitShipment", () => {
+  test("a throw after the claim fails the booking instead of leaving it in flight", async () => {
+    prisma.shipment.create.mockResolvedValue({ id: "shp_1", lockedAt });
+    resolveCity.mockRejectedValue(new Error("connection reset"));
+
+    await assert.rejects(
+      submitShipment({ shop: "s", order, source: "procard_callback" }),
+      /connection reset/,
+    );
+
+    assert.deepEqual(prisma.shipment.updateMany.mock.calls.at(-1)[0], {
+      where: { id: "shp_1", status: SHIPMENT_STATUS.SUBMITTING, lockedAt },
+      data: {
+        status: SHIPMENT_STATUS.FAILED,
+        lockedAt: null,
+        lastError: "connection reset",
+      },
+    });
+  });
+
+  test("a booking left submitting past its lock goes to staff, not PostOffice", async () => {
+    prisma.shipment.create.mockRejectedValue(duplicateKey());
+    prisma.shipment.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+    prisma.shipment.findUnique.mockResolvedValue({
+      id: "shp_1",
+      status: SHIPMENT_STATUS.INTERRUPTED,
+    });
+    const fetch = vi.fn();
+    vi.stubGlobal("fetch", fetch);
+
+    const result = await submitShipment({ shop: "s", order, source: "x" });
+
+    const [interrupt, reclaim] = prisma.shipment.updateMany.mock.calls;
+    assert.equal(interrupt[0].where.status, SHIPMENT_STATUS.SUBMITTING);
+    assert.ok(interrupt[0].where.lockedAt.lt < new Date(Date.now() - 9 * 60e3));
+    assert.equal(interrupt[0].data.status, SHIPMENT_STATUS.INTERRUPTED);
+    assert.ok(
+      !reclaim[0].where.status.in.includes(SHIPMENT_STATUS.INTERRUPTED),
+    );
+    assert.deepEqual(tagOrder.mock.calls, [
+      ["s", 42, ["postoffice_booking_review"]],
+    ]);
+    assert.equal(fetch.mock.calls.length, 0);
+    assert.equal(result.status, "duplicate");
+  });
+
+  test("staff can resend an interrupted booking", async () => {
+    prisma.shipment.create.mockRejectedValue(duplicateKey());
+
+    await submitShipment({ shop: "s", order, source: "x", manual: true });
+
+    const [, reclaim] = prisma.shipment.updateMany.mock.calls;
+    assert.ok(reclaim[0].where.status.in.includes(SHIPMENT_STATUS.INTERRUPTED));
+  });
+
+  test("a booking that lost its lock leaves the recorded parcels alone", async () => {
+    claimed();
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(
+        async () =>
+          new Response(JSON.stringify([{ Refid: "42", Barcode: "PO1" }])),
+      ),
+    );
+
+    const result = await submitShipment({ shop: "s", order, source: "x" });
+
+    assert.equal(result.status, "interrupted");
+    assert.deepEqual(prisma.shipment.updateMany.mock.calls.at(-1)[0].where, {
+      id: "shp_1",
+      status: SHIPMENT_STATUS.SUBMITTING,
+      lockedAt,
+    });
+    assert.equal(prisma.shipmentParcel.deleteMany.mock.calls.length, 0);
+    assert.equal(prisma.shipmentParcel.createMany.mock.calls.length, 0);
+  });
+
+  test("PostOffice not answering in time goes to staff instead of a retry", async () => {
+    claimed();
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => {
+        throw new DOMException("The operation timed out.", "TimeoutError");
+      }),
+    );
+
+    const result = await submitShipment({ shop: "s", order, source: "x" });
+
+    assert.equal(result.status, "interrupted");
+    const [{ data }] = prisma.shipment.updateMany.mock.calls.at(-1);
+    assert.equal(data.status, SHIPMENT_STATUS.INTERRUPTED);
+  });
+});
+
+describe("cancelShipment", () => {
+  test("a booking still in flight is left to settle", async () => {
+    prisma.shipment.findUnique.mockResolvedValue({
+      id: "shp_1",
+      status: SHIPMENT_STATUS.SUBMITTING,
+      parcels: [],
+    });
+
+    const result = await cancelShipment({ shop: "s", orderId: 42 });
+
+    assert.equal(result.status, "in_progress");
+  });
+
+  test("a retry only cancels the parcels PostOffice has not cancelled yet", async () => {
+    prisma.shipment.findUnique.mockResolvedValue({
+      id: "shp_1",
+      status: SHIPMENT_STATUS.SUBMITTED,
+      parcels: [
+        { id: "p1", position: 1, postOfficeId: "101", cancelledAt: new Date() },
+        { id: "p2", position: 2, postOfficeId: "102", cancelledAt: null },
+      ],
+    });
+    const fetch = vi.fn(async () => new Response("{}"));
+    vi.stubGlobal("fetch", fetch);
+
+    const result = await cancelShipment({ shop: "s", orderId: 42 });
+
+    assert.equal(result.status, "cancelled");
+    assert.equal(fetch.mock.calls.length, 1);
+    assert.match(fetch.mock.calls[0][0], /\/cancel\/102$/);
+    assert.equal(prisma.shipmentParcel.update.mock.calls[0][0].where.id, "p2");
+  });
+
+  test("a failed parcel keeps the ones already cancelled recorded", async () => {
+    prisma.shipment.findUnique.mockResolvedValue({
+      id: "shp_1",
+      status: SHIPMENT_STATUS.SUBMITTED,
+      parcels: [
+        { id: "p1", position: 1, postOfficeId: "101", cancelledAt: null },
+        { id: "p2", position: 2, postOfficeId: "102", cancelledAt: null },
+      ],
+    });
+    vi.stubGlobal(
+      "fetch",
+      vi
+        .fn()
+        .mockResolvedValueOnce(new Response("{}"))
+        .mockResolvedValueOnce(new Response("busy", { status: 503 })),
+    );
+
+    const result = await cancelShipment({ shop: "s", orderId: 42 });
+
+    assert.equal(result.status, "failed");
+    assert.deepEqual(
+      prisma.shipmentParcel.update.mock.calls.map(([q]) => q.where.id),
+      ["p1"],
+    );
+  });
+});
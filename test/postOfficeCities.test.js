@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import { normalizeCityName, resolveCity } from "../app/postOfficeCities.server";
+
+vi.mock("../app/db.server", () => ({
+  default: { postOfficeCity: { findMany: vi.fn() } },
+}));
+
+function city(id, label, aliases = []) {
+  return {
+    id,
+    label,
+    normalized: normalizeCityName(label),
+    aliases: aliases.map((a) => ({ normalized: normalizeCityName(a) })),
+  };
+}
+
+const KOSOVO = [
+  city(1, "Prishtinë", ["Priština"]),
+  city(2, "Prizren"),
+  city(3, "Pejë", ["Peć"]),
+  city(4, "Ferizaj", ["Uroševac"]),
+  city(5, "Gjakovë"),
+  city(6, "Gjilan"),
+];
+
+beforeEach(() => {
+  prisma.postOfficeCity.findMany.mockResolvedValue(KOSOVO);
+});
+
+describe("normalizeCityName", () => {
+  test("folds case, diacritics and punctuation", () => {
+    assert.equal(normalizeCityName("Prishtinë"), "prishtine");
+    assert.equal(normalizeCityName("  PRISHTINË, "), "prishtine");
+    assert.equal(normalizeCityName("Đakovica"), "djakovica");
+    assert.equal(normalizeCityName("Mitrovicë-Jug"), "mitrovice jug");
+    assert.equal(normalizeCityName(null), "");
+  });
+});
+
+describe("resolveCity", () => {
+  test("matches exactly after normalizing", async () => {
+    const { city: match, match: how } = await resolveCity(1, "PRIZREN ");
+    assert.equal(match.id, 2);
+    assert.equal(how, "exact");
+  });
+
+  test("matches a known alias", async () => {
+    const { city: match, match: how } = await resolveCity(1, "Urosevac");
+    assert.equal(match.id, 4);
+    assert.equal(how, "alias");
+  });
+
+  test("tolerates a typo in longer names", async () => {
+    const { city: match, match: how } = await resolveCity(1, "Prishtna");
+    assert.equal(match.id, 1);
+    assert.equal(how, "fuzzy");
+  });
+
+  test("short names must match exactly", async () => {
+    prisma.postOfficeCity.findMany.mockResolvedValue([city(7, "Has")]);
+    assert.equal((await resolveCity(1, "Hat")).city, null);
+  });
+
+  test("a tie between two cities is not a match", async () => {
+    prisma.postOfficeCity.findMany.mockResolvedValue([
+      city(1, "Kamenicë"),
+      city(2, "Kamenica"),
+    ]);
+    assert.equal((await resolveCity(1, "Kamenicy")).city, null);
+  });
+
+  test("reports an empty catalog instead of failing the match", async () => {
+    prisma.postOfficeCity.findMany.mockResolvedValue([]);
+    assert.deepEqual(await resolveCity(1, "Prizren"), {
+      city: null,
+      catalogEmpty: true,
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  eventForStatus,
+  groupEvent,
+  runTrackingSync,
+} from "../app/postOfficeTracking.server";
+import { shopifyGraphql, shopifyRest } from "../app/shopifyOrders.server";
+
+vi.mock("../app/db.server", () => ({
+  default: {
+    shipment: { findMany: vi.fn(), update: vi.fn() },
+    shipmentParcel: { update: vi.fn() },
+  },
+}));
+vi.mock("../app/shopConfig.server", () => ({
+  getShopConfig: async () => ({
+    postOffice: { baseUrl: "https://postoffice.test", token: "t" },
+  }),
+}));
+vi.mock("../app/shopifyOrders.server", () => ({
+  shopifyGraphql: vi.fn(),
+  shopifyRest: vi.fn(),
+  tagOrder: vi.fn(),
+}));
+
+describe("eventForStatus", () => {
+  test.each([
+    ["Delivered", "delivered"],
+    ["delivered to recipient", "delivered"],
+    ["E dorëzuar", "delivered"],
+    ["Out for delivery", "out_for_delivery"],
+    ["Në shpërndarje", "out_for_delivery"],
+    ["Delivery attempted", "attempted_delivery"],
+    ["Not delivered", "attempted_delivery"],
+    ["Pa dorëzuar", "attempted_delivery"],
+    ["Undelivered - returned to sender", "failure"],
+    ["E kthyer", "failure"],
+    ["In transit", "in_transit"],
+    ["Picked up", "picked_up"],
+    ["Label created", null],
+    ["", null],
+  ])("%j → %s", (status, event) => {
+    assert.equal(eventForStatus(status), event);
+  });
+});
+
+describe("groupEvent", () => {
+  test("a group is as far along as its slowest parcel", () => {
+    assert.equal(
+      groupEvent([
+        { fulfillmentEvent: "delivered" },
+        { fulfillmentEvent: "in_transit" },
+      ]),
+      "in_transit",
+    );
+  });
+
+  test("any returned parcel fails the group", () => {
+    assert.equal(
+      groupEvent([
+        { fulfillmentEvent: "delivered" },
+        { fulfillmentEvent: "failure" },
+      ]),
+      "failure",
+    );
+  });
+
+  test("waits until every parcel has an event", () => {
+    assert.equal(
+      groupEvent([
+        { fulfillmentEvent: "delivered" },
+        { fulfillmentEvent: null },
+      ]),
+      null,
+    );
+  });
+});
+
+describe("runTrackingSync", () => {
+  const parcel = {
+    id: "prc_1",
+    position: 1,
+    barcode: "PO123",
+    trackingUrl: "https://track.test/PO123",
+    fulfillmentEvent: null,
+  };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => Response.json({ Status: "In transit" })),
+    );
+    prisma.shipmentParcel.update.mockImplementation(async ({ data }) => ({
+      ...parcel,
+      ...data,
+    }));
+    shopifyRest.mockImplementation(async (shop, path) => {
+      if (path.endsWith("/fulfillments.json")) return { fulfillments: [] };
+      if (path.endsWith("/fulfillment_orders.json")) {
+        return {
+          fulfillment_orders: [
+            { id: 7, status: "open" },
+            { id: 8, status: "closed" },
+          ],
+        };
+      }
+      return {};
+    });
+    shopifyGraphql.mockResolvedValue({
+      fulfillmentCreateV2: {
+        fulfillment: {
+          id: "gid://shopify/Fulfillment/9",
+          legacyResourceId: "9",
+        },
+        userErrors: [],
+      },
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test("creates the fulfillment for a parcel booked on payment", async () => {
+    prisma.shipment.findMany.mockResolvedValue([
+      {
+        id: "shp_1",
+        shop: "s",
+        orderId: "42",
+        source: "procard_callback",
+        trackingPushed: false,
+        fulfillmentEvent: null,
+        parcels: [parcel],
+      },
+    ]);
+
+    const summary = await runTrackingSync();
+    assert.deepEqual(summary, { checked: 1, updated: 1, errors: 0 });
+
+    const [[, , { fulfillment }]] = shopifyGraphql.mock.calls;
+    assert.deepEqual(fulfillment.lineItemsByFulfillmentOrder, [
+      { fulfillmentOrderId: "gid://shopify/FulfillmentOrder/7" },
+    ]);
+    assert.deepEqual(fulfillment.trackingInfo.numbers, ["PO123"]);
+
+    assert.ok(
+      shopifyRest.mock.calls.some(
+        ([, path, options]) =>
+          path === "/orders/42/fulfillments/9/events.json" &&
+          options.body.event.status === "in_transit",
+      ),
+    );
+    const [{ data }] = prisma.shipment.update.mock.calls[0];
+    assert.equal(data.trackingPushed, true);
+    assert.equal(data.fulfillmentEvent, "in_transit");
+  });
+
+  test("leaves orders fulfilled by staff to their own fulfillment", async () => {
+    prisma.shipment.findMany.mockResolvedValue([
+      {
+        id: "shp_2",
+        shop: "s",
+        orderId: "43",
+        source: "orders_fulfilled",
+        trackingPushed: false,
+        fulfillmentEvent: null,
+        parcels: [parcel],
+      },
+    ]);
+
+    await runTrackingSync();
+    assert.equal(shopifyGraphql.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test, vi } from "vitest";
+import {
+  makeRequestSignature,
+  testProcardConnection,
+} from "../app/procard.server";
+
+const procard = {
+  merchantId: "m_1",
+  secret: "real-secret",
+  dispatcherUrl: "https://procard.test/dispatcher",
+};
+
+function answer(body) {
+  const fetch = vi.fn(async () => new Response(JSON.stringify(body)));
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("testProcardConnection", () => {
+  test("never signs with the real secret", async () => {
+    const fetch = answer({ result: 2, message: "Bad signature" });
+
+    const result = await testProcardConnection(procard, "EUR");
+
+    assert.equal(result.ok, true);
+    const sent = JSON.parse(fetch.mock.calls[0][1].body);
+    assert.equal(sent.merchant_id, "m_1");
+    assert.match(sent.signature, /^[0-9a-f]{128}$/);
+    assert.notEqual(sent.signature, makeRequestSignature(procard, sent));
+  });
+
+  test("an unknown merchant fails the test", async () => {
+    answer({ result: 1, message: "Unknown merchant" });
+
+    const result = await testProcardConnection(procard, "EUR");
+
+    assert.equal(result.ok, false);
+    assert.match(result.error, /does not know this merchant/);
+  });
+});
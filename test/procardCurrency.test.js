@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test, vi } from "vitest";
+import {
+  procardChargeFor,
+  procardCurrencies,
+  toProcardAmount,
+} from "../app/procardCurrency.server";
+
+function order(presentment, shop) {
+  return {
+    currency: shop[1],
+    current_total_price: String(shop[0]),
+    current_total_price_set: {
+      shop_money: { amount: String(shop[0]), currency_code: shop[1] },
+      presentment_money: {
+        amount: String(presentment[0]),
+        currency_code: presentment[1],
+      },
+    },
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("procardCurrencies", () => {
+  test("defaults to EUR and normalizes the list", () => {
+    vi.stubEnv("PROCARD_CURRENCIES", "");
+    assert.deepEqual(procardCurrencies(), ["EUR"]);
+
+    vi.stubEnv("PROCARD_CURRENCIES", " eur, all ,");
+    assert.deepEqual(procardCurrencies(), ["EUR", "ALL"]);
+  });
+});
+
+describe("procardChargeFor", () => {
+  test("charges the customer's currency when Procard supports it", () => {
+    vi.stubEnv("PROCARD_CURRENCIES", "EUR,ALL");
+    const charge = procardChargeFor(order([4900, "ALL"], [50, "EUR"]));
+
+    assert.deepEqual(charge, {
+      orderAmount: 4900,
+      orderCurrency: "ALL",
+      amount: 4900,
+      currency: "ALL",
+      exchangeRate: null,
+    });
+  });
+
+  test("falls back to the shop currency", () => {
+    vi.stubEnv("PROCARD_CURRENCIES", "EUR");
+    const charge = procardChargeFor(order([4900, "ALL"], [50, "EUR"]));
+
+    assert.equal(charge.amount, 50);
+    assert.equal(charge.currency, "EUR");
+    assert.equal(charge.orderAmount, 4900);
+    assert.equal(charge.orderCurrency, "ALL");
+    assert.equal(charge.exchangeRate, 50 / 4900);
+  });
+
+  test("converts with a configured rate, rounded to cents", () => {
+    vi.stubEnv("PROCARD_CURRENCIES", "EUR");
+    vi.stubEnv("PROCARD_EXCHANGE_RATES", "ALL:EUR=0.0098, mkd:eur=0.0162");
+    const charge = procardChargeFor(order([3075, "MKD"], [3075, "MKD"]));
+
+    assert.equal(charge.amount, 49.82);
+    assert.equal(charge.currency, "EUR");
+    assert.equal(charge.exchangeRate, 0.0162);
+  });
+
+  test("refuses to guess a missing rate", () => {
+    vi.stubEnv("PROCARD_CURRENCIES", "EUR");
+    vi.stubEnv("PROCARD_EXCHANGE_RATES", "ALL:EUR=0.0098");
+
+    assert.throws(
+      () => procardChargeFor(order([100, "USD"], [100, "USD"])),
+      /No Procard exchange rate for USD → EUR/,
+    );
+  });
+
+  test("reads plain totals when Shopify sends no money sets", () => {
+    vi.stubEnv("PROCARD_CURRENCIES", "EUR");
+    const charge = procardChargeFor({ total_price: "42.50", currency: "eur" });
+
+    assert.equal(charge.amount, 42.5);
+    assert.equal(charge.currency, "EUR");
+  });
+});
+
+describe("toProcardAmount", () => {
+  test("uses the order amount as is when nothing was converted", () => {
+    const payment = { amount: 42.5, currency: "EUR", orderCurrency: "EUR" };
+    assert.equal(toProcardAmount(payment, 10.005), 10.01);
+  });
+
+  test("scales by the ratio recorded on the payment", () => {
+    const payment = {
+      amount: "49.82",
+      currency: "EUR",
+      orderAmount: "3075",
+      orderCurrency: "MKD",
+    };
+    assert.equal(toProcardAmount(payment, 1537.5), 24.91);
+  });
+});
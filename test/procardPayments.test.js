@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, test, vi } from "vitest";
+import {
+  PAYMENT_STATUS,
+  canTransition,
+  statusForCallback,
+} from "../app/procardPayments.server";
+
+// Only the pure transition rules are under test here
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+describe("statusForCallback", () => {
+  test("maps Procard transaction statuses onto the ledger", () => {
+    assert.equal(statusForCallback("Approved"), PAYMENT_STATUS.PAID);
+    assert.equal(statusForCallback("InProcessing"), PAYMENT_STATUS.PENDING);
+    assert.equal(
+      statusForCallback("WaitingAuthComplete"),
+      PAYMENT_STATUS.PENDING,
+    );
+    assert.equal(statusForCallback("Declined"), PAYMENT_STATUS.DECLINED);
+    assert.equal(statusForCallback("Refunded"), PAYMENT_STATUS.REFUNDED);
+  });
+
+  test("returns null for statuses it does not know", () => {
+    assert.equal(statusForCallback("Chargeback"), null);
+    assert.equal(statusForCallback(""), null);
+    assert.equal(statusForCallback(undefined), null);
+  });
+});
+
+describe("canTransition", () => {
+  test("an unpaid link can be paid, declined or expire", () => {
+    for (const to of [
+      PAYMENT_STATUS.PAID,
+      PAYMENT_STATUS.DECLINED,
+      PAYMENT_STATUS.EXPIRED,
+    ]) {
+      assert.ok(canTransition(PAYMENT_STATUS.LINK_SENT, to), to);
+    }
+  });
+
+  test("a declined retry after payment does not un-pay the order", () => {
+    assert.ok(!canTransition(PAYMENT_STATUS.PAID, PAYMENT_STATUS.DECLINED));
+    assert.ok(!canTransition(PAYMENT_STATUS.PAID, PAYMENT_STATUS.PENDING));
+    assert.ok(canTransition(PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDED));
+  });
+
+  test("a superseded link may still be paid", () => {
+    assert.ok(canTransition(PAYMENT_STATUS.SUPERSEDED, PAYMENT_STATUS.PAID));
+    assert.ok(
+      !canTransition(PAYMENT_STATUS.SUPERSEDED, PAYMENT_STATUS.DECLINED),
+    );
+  });
+
+  test("refunded, voided and invalidated payments are final", () => {
+    for (const from of [
+      PAYMENT_STATUS.REFUNDED,
+      PAYMENT_STATUS.VOIDED,
+      PAYMENT_STATUS.INVALIDATED,
+    ]) {
+      for (const to of Object.values(PAYMENT_STATUS)) {
+        assert.ok(!canTransition(from, to), `${from} → ${to}`);
+      }
+    }
+  });
+
+  test("an amount mismatch is only settled by a refund or void", () => {
+    assert.ok(
+      !canTransition(PAYMENT_STATUS.AMOUNT_MISMATCH, PAYMENT_STATUS.PAID),
+    );
+    assert.ok(
+      canTransition(PAYMENT_STATUS.AMOUNT_MISMATCH, PAYMENT_STATUS.REFUNDED),
+    );
+  });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, test, vi } from "vitest";
+import { getRefundAmount } from "../app/procardRefunds.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+vi.mock("../app/shopify.server", () => ({}));
+
+function transaction(extra) {
+  return {
+    kind: "refund",
+    status: "success",
+    gateway: "Procard",
+    amount: "10.00",
+    ...extra,
+  };
+}
+
+describe("getRefundAmount", () => {
+  test("sums the successful Procard refund transactions", () => {
+    const amount = getRefundAmount({
+      transactions: [
+        transaction({ amount: "10.00" }),
+        transaction({ amount: "2.50" }),
+        transaction({ status: "failure" }),
+        transaction({ kind: "capture" }),
+      ],
+    });
+
+    assert.equal(amount, 12.5);
+  });
+
+  test("leaves refunds through other gateways to them", () => {
+    const amount = getRefundAmount({
+      transactions: [
+        transaction({ gateway: "Cash on Delivery (COD)" }),
+        transaction({ gateway: "manual" }),
+      ],
+    });
+
+    assert.equal(amount, 0);
+  });
+
+  test("a restock-only refund refunds nothing, whatever its line totals", () => {
+    const amount = getRefundAmount({
+      transactions: [],
+      refund_line_items: [{ subtotal: "20.00", total_tax: "4.00" }],
+    });
+
+    assert.equal(amount, 0);
+  });
+});
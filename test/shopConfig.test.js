@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  appConfig,
+  assertStartupConfig,
+  getShopConfig,
+  missingSettings,
+} from "../app/shopConfig.server";
+
+vi.mock("../app/db.server", () => ({
+  default: { shopSettings: { findUnique: vi.fn() } },
+}));
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  vi.stubEnv("SHOPIFY_STORE_DOMAIN", "first.myshopify.com");
+  vi.stubEnv("PROCARD_MERCHANT_ID", "first_merchant");
+  vi.stubEnv("PROCARD_SECRET", "first-secret");
+  vi.stubEnv("POSTOFFICE_TOKEN", "first-token");
+  vi.stubEnv("RE_SEND_API_KEY", "re_first");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("getShopConfig", () => {
+  test("the legacy shop falls back to the env accounts", async () => {
+    const config = await getShopConfig("first.myshopify.com");
+
+    assert.equal(config.procard.merchantId, "first_merchant");
+    assert.equal(config.procard.secret, "first-secret");
+    assert.equal(config.postOffice.token, "first-token");
+    assert.equal(config.resend.apiKey, "re_first");
+  });
+
+  test("another shop without settings gets nothing from env", async () => {
+    const config = await getShopConfig("second.myshopify.com");
+
+    assert.equal(config.procard.merchantId, undefined);
+    assert.equal(config.postOffice.token, undefined);
+    assert.deepEqual(missingSettings(config, ["procard"]), [
+      "procard.merchantId",
+      "procard.secret",
+      "procard.dispatcherUrl",
+      "procard.callbackUrl",
+    ]);
+  });
+
+  test("another shop uses what it saved", async () => {
+    prisma.shopSettings.findUnique.mockResolvedValue({
+      id: "set_2",
+      procardMerchantId: "second_merchant",
+    });
+    const config = await getShopConfig("second.myshopify.com");
+
+    assert.equal(config.procard.merchantId, "second_merchant");
+    assert.equal(config.procard.secret, undefined);
+  });
+});
+
+describe("assertStartupConfig", () => {
+  beforeEach(() => {
+    vi.stubEnv("SETTINGS_ENCRYPTION_KEY", "a".repeat(64));
+  });
+
+  test("a partly set integration stops the app", () => {
+    assert.throws(
+      assertStartupConfig,
+      /PROCARD_DISPATCHER_URL, PROCARD_CALLBACK_URL missing/,
+    );
+  });
+
+  test("an integration without env vars is left to Settings, with a warning", () => {
+    for (const name of [
+      "PROCARD_MERCHANT_ID",
+      "PROCARD_SECRET",
+      "POSTOFFICE_TOKEN",
+      "RE_SEND_API_KEY",
+    ]) {
+      vi.stubEnv(name, "");
+    }
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    assertStartupConfig();
+
+    assert.deepEqual(warn.mock.calls[0][1], {
+      shop: "first.myshopify.com",
+      integrations: ["procard", "postOffice", "resend"],
+    });
+    warn.mockRestore();
+  });
+});
+
+describe("appConfig", () => {
+  test("parcel defaults ignore blank or invalid env values", () => {
+    vi.stubEnv("POSTOFFICE_DEFAULT_WIDTH_CM", "");
+    vi.stubEnv("POSTOFFICE_DEFAULT_LENGTH_CM", "abc");
+    vi.stubEnv("POSTOFFICE_DEFAULT_HEIGHT_CM", "35");
+
+    const { postOffice } = appConfig();
+
+    assert.equal(postOffice.defaultWidthCm, 20);
+    assert.equal(postOffice.defaultLengthCm, 20);
+    assert.equal(postOffice.defaultHeightCm, 35);
+    assert.equal(postOffice.maxParcelWeightKg, null);
+  });
+});
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests for the server modules; the e2e suite has its own runner
+// (npm run test:e2e) because it needs the build and a database.
+export default defineConfig({
+  test: {
+    include: ["test/**/*.test.js"],
+    environment: "node",
+  },
+});